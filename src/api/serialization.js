@@ -0,0 +1,256 @@
+import Decimal from 'decimal.js';
+import { Product, CartItem, PaymentInfo, CustomerProfile } from '../models/index.js';
+import { isCurrencyCode, isValidLocale } from '../utils/currency.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Most units one cart line may hold
+ */
+export const MAX_LINE_QUANTITY = 1000;
+
+/**
+ * Raised when a request body cannot be turned into models
+ */
+export class RequestValidationError extends ValidationError {
+  constructor(code, message, details = {}, statusCode = 400) {
+    super(code, message, details, statusCode);
+    this.name = 'RequestValidationError';
+  }
+}
+
+/**
+ * Build CartItem models from request JSON
+ * @param {Array} cartItems - [{ product: { id, brand, brand_tier, category, base_price, current_price, currency }, quantity, size }]
+ * @returns {Array<CartItem>}
+ * @throws {RequestValidationError} If any line is malformed
+ */
+export function parseCartItems(cartItems) {
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    throw new RequestValidationError('INVALID_CART', 'cart_items must be a non-empty array', { field: 'cart_items' });
+  }
+
+  return cartItems.map((item, index) => {
+    const field = `cart_items[${index}]`;
+    if (!isObject(item) || !isObject(item.product)) {
+      throw new RequestValidationError('INVALID_CART_ITEM', `${field}.product is required`, { field: `${field}.product`, index });
+    }
+
+    const { product } = item;
+    ['id', 'brand', 'category'].forEach(key => {
+      if (typeof product[key] !== 'string' || product[key] === '') {
+        throw new RequestValidationError('INVALID_CART_ITEM', `${field}.product.${key} must be a non-empty string`, {
+          field: `${field}.product.${key}`,
+          index
+        });
+      }
+    });
+
+    const basePrice = parseAmount(product.base_price, `${field}.product.base_price`, index);
+    const currentPrice = product.current_price == null
+      ? basePrice
+      : parseAmount(product.current_price, `${field}.product.current_price`, index);
+
+    if (product.currency != null && !isCurrencyCode(product.currency)) {
+      throw new RequestValidationError('INVALID_CART_ITEM', `${field}.product.currency must be an ISO 4217 currency code`, {
+        field: `${field}.product.currency`,
+        index
+      });
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_LINE_QUANTITY) {
+      throw new RequestValidationError('INVALID_CART_ITEM', `${field}.quantity must be a whole number from 1 to ${MAX_LINE_QUANTITY}`, {
+        field: `${field}.quantity`,
+        index
+      });
+    }
+
+    return new CartItem({
+      product: new Product({
+        id: product.id,
+        brand: product.brand,
+        brand_tier: product.brand_tier ?? null,
+        category: product.category,
+        base_price: basePrice,
+        current_price: currentPrice,
+        currency: product.currency ?? null
+      }),
+      quantity: item.quantity,
+      size: item.size ?? null
+    });
+  });
+}
+
+/**
+ * Build a CustomerProfile model from request JSON
+ */
+export function parseCustomer(customer) {
+  if (!isObject(customer) || typeof customer.id !== 'string' || customer.id === '') {
+    throw new RequestValidationError('INVALID_CUSTOMER', 'customer.id must be a non-empty string', { field: 'customer.id' });
+  }
+
+  return new CustomerProfile({
+    id: customer.id,
+    tier: customer.tier ?? undefined,
+    email: customer.email,
+    phone: customer.phone,
+    is_premium_member: customer.is_premium_member === true,
+    voucherCode: customer.voucher_code ?? customer.voucherCode ?? null,
+    voucherCodes: Array.isArray(customer.voucher_codes)
+      ? customer.voucher_codes.filter(code => typeof code === 'string' && code !== '')
+      : [],
+    attributes: isObject(customer.attributes) ? customer.attributes : {},
+    redeemPoints: Number.isInteger(customer.redeem_points) && customer.redeem_points > 0 ? customer.redeem_points : 0
+  });
+}
+
+/**
+ * Build a PaymentInfo model from request JSON (payment info is optional)
+ */
+export function parsePaymentInfo(paymentInfo) {
+  if (paymentInfo == null) {
+    return null;
+  }
+  if (!isObject(paymentInfo) || typeof paymentInfo.method !== 'string' || paymentInfo.method === '') {
+    throw new RequestValidationError('INVALID_PAYMENT_INFO', 'payment_info.method must be a non-empty string', {
+      field: 'payment_info.method'
+    });
+  }
+
+  if (paymentInfo.card_bin != null && !(typeof paymentInfo.card_bin === 'string' && /^\d{6,8}$/.test(paymentInfo.card_bin))) {
+    throw new RequestValidationError('INVALID_PAYMENT_INFO', 'payment_info.card_bin must be a string of 6 to 8 digits', {
+      field: 'payment_info.card_bin'
+    });
+  }
+  if (paymentInfo.emi_tenure_months != null
+    && !(Number.isInteger(paymentInfo.emi_tenure_months) && paymentInfo.emi_tenure_months > 0)) {
+    throw new RequestValidationError('INVALID_PAYMENT_INFO', 'payment_info.emi_tenure_months must be a positive whole number', {
+      field: 'payment_info.emi_tenure_months'
+    });
+  }
+
+  return new PaymentInfo({
+    method: paymentInfo.method,
+    bank_name: paymentInfo.bank_name ?? null,
+    card_type: paymentInfo.card_type ?? null,
+    card_network: paymentInfo.card_network ?? null,
+    card_bin: paymentInfo.card_bin ?? null,
+    emi_tenure_months: paymentInfo.emi_tenure_months ?? null,
+    provider: paymentInfo.provider ?? null
+  });
+}
+
+/**
+ * Read the order a request prices or reserves for
+ * @param {string} orderId - Order ID
+ * @param {boolean} required - Whether the order ID must be given
+ * @returns {string|null}
+ * @throws {RequestValidationError} If the order ID is not a non-empty string, or is missing when required
+ */
+export function parseOrderId(orderId, required = false) {
+  if (orderId == null && !required) {
+    return null;
+  }
+  if (typeof orderId !== 'string' || orderId === '') {
+    throw new RequestValidationError('INVALID_ORDER_ID', 'order_id must be a non-empty string', { field: 'order_id' });
+  }
+  return orderId;
+}
+
+/**
+ * Read the ruleset version to price against
+ * @param {number} version - Registry version number (optional; defaults to the current rules)
+ * @returns {number|null}
+ * @throws {RequestValidationError} If the version is not a positive whole number
+ */
+export function parseRulesetVersion(version) {
+  if (version == null) {
+    return null;
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new RequestValidationError('INVALID_RULESET_VERSION', 'ruleset_version must be a positive whole number', {
+      field: 'ruleset_version'
+    });
+  }
+  return version;
+}
+
+/**
+ * Read the locale shopper messages are returned in
+ * @param {string} locale - BCP 47 locale, e.g. 'hi-IN' (optional)
+ * @returns {string|null}
+ * @throws {RequestValidationError} If the locale is malformed
+ */
+export function parseLocale(locale) {
+  if (locale == null) {
+    return null;
+  }
+  if (!isValidLocale(locale)) {
+    throw new RequestValidationError('INVALID_LOCALE', 'locale must be a BCP 47 locale (e.g. "hi-IN")', { field: 'locale' });
+  }
+  return locale;
+}
+
+/**
+ * Convert a service result to plain JSON, writing Decimals as strings
+ * so no precision is lost on the wire
+ */
+export function toJSONValue(value) {
+  if (Decimal.isDecimal(value)) {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Map) {
+    return toJSONValue(Object.fromEntries(value));
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJSONValue(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Serialize a DiscountedPrice, including its computed totals
+ */
+export function serializeDiscountedPrice(result) {
+  // pricing_context holds models and rule Maps for in-process repricing only
+  const { pricing_context: pricingContext, ...fields } = result;
+  return toJSONValue({
+    ...fields,
+    total_discount: result.getTotalDiscount(),
+    discount_percentage: result.getDiscountPercentage(),
+    grand_total: result.getGrandTotal(),
+    amount_payable: result.getAmountPayable(),
+    formatted: result.getFormattedAmounts()
+  });
+}
+
+/**
+ * Serialize a RefundResult, with its repriced remaining order
+ */
+export function serializeRefundResult(refund) {
+  const { remaining, ...fields } = refund;
+  return toJSONValue({
+    ...fields,
+    total_clawback: refund.getTotalClawback(),
+    remaining: remaining && serializeDiscountedPrice(remaining)
+  });
+}
+
+function parseAmount(value, field, index) {
+  const valid = (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value));
+
+  if (!valid || new Decimal(value).lte(0)) {
+    throw new RequestValidationError('INVALID_CART_ITEM', `${field} must be a positive amount`, { field, index });
+  }
+  return value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
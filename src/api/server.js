@@ -0,0 +1,450 @@
+import crypto from 'crypto';
+import http from 'http';
+import { DiscountService } from '../services/DiscountService.js';
+import { OfferOptimizer } from '../services/OfferOptimizer.js';
+import { AuthenticationError, DiscountError } from '../errors/index.js';
+import { FileRepository } from '../services/Repository.js';
+import {
+  RequestValidationError,
+  parseCartItems,
+  parseCustomer,
+  parseLocale,
+  parseOrderId,
+  parsePaymentInfo,
+  parseRulesetVersion,
+  serializeDiscountedPrice,
+  serializeRefundResult,
+  toJSONValue
+} from './serialization.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Storefront route table - each handler receives (discountService, body, params)
+ * and returns { status, body }
+ */
+const ROUTES = [
+  {
+    method: 'POST',
+    pattern: /^\/discounts\/calculate$/,
+    handler: async (service, body) => {
+      const result = await service.calculateCartDiscounts(
+        parseCartItems(body.cart_items),
+        parseCustomer(body.customer),
+        parsePaymentInfo(body.payment_info),
+        {
+          trace: body.trace === true,
+          saveQuote: body.save_quote === true,
+          locale: parseLocale(body.locale),
+          rulesetVersion: parseRulesetVersion(body.ruleset_version),
+          orderId: parseOrderId(body.order_id)
+        }
+      );
+      return { status: 200, body: serializeDiscountedPrice(result) };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/quotes\/(?<quoteId>[^/]+)$/,
+    handler: async (service, body, { quoteId }) => ({
+      status: 200,
+      body: serializeDiscountedPrice(await service.getQuote(quoteId))
+    })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/quotes\/(?<quoteId>[^/]+)\/refund$/,
+    handler: async (service, body, { quoteId }) => ({
+      status: 200,
+      body: serializeRefundResult(await service.calculateReturnRefund(quoteId, body.returned_lines))
+    })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/discounts\/available$/,
+    handler: async (service, body) => {
+      const result = service.getAvailableDiscounts(parseCartItems(body.cart_items), parseCustomer(body.customer), {
+        locale: parseLocale(body.locale),
+        rulesetVersion: parseRulesetVersion(body.ruleset_version)
+      });
+      return { status: 200, body: toJSONValue(result) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/discounts\/best-offers$/,
+    handler: async (service, body) => {
+      const offers = await new OfferOptimizer(service).findBestOffers(
+        parseCartItems(body.cart_items),
+        parseCustomer(body.customer),
+        {
+          limit: Number.isInteger(body.limit) && body.limit > 0 ? body.limit : null,
+          locale: parseLocale(body.locale),
+          rulesetVersion: parseRulesetVersion(body.ruleset_version),
+          orderId: parseOrderId(body.order_id)
+        }
+      );
+      const serializeCombination = ({ result, ...combination }) => ({
+        ...toJSONValue(combination),
+        result: serializeDiscountedPrice(result)
+      });
+      return {
+        status: 200,
+        body: {
+          best: serializeCombination(offers.best),
+          combinations: offers.combinations.map(serializeCombination),
+          excluded_vouchers: offers.excluded_vouchers
+        }
+      };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/vouchers\/(?<code>[^/]+)\/validate$/,
+    handler: async (service, body, { code }) => {
+      const result = await service.validateDiscountCode(code, parseCartItems(body.cart_items), parseCustomer(body.customer), {
+        locale: parseLocale(body.locale),
+        rulesetVersion: parseRulesetVersion(body.ruleset_version),
+        orderId: parseOrderId(body.order_id)
+      });
+      return { status: 200, body: toJSONValue(result) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/vouchers\/(?<code>[^/]+)\/reserve$/,
+    handler: async (service, body, { code }) => {
+      const result = await service.reserveVoucher(
+        code,
+        parseCartItems(body.cart_items),
+        parseCustomer(body.customer),
+        parseOrderId(body.order_id, true)
+      );
+      return { status: result.success ? 200 : 409, body: toJSONValue(result) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/orders\/(?<orderId>[^/]+)\/vouchers\/commit$/,
+    handler: async (service, body, { orderId }) => {
+      const result = await service.commitVoucher(orderId);
+      return { status: result.success ? 200 : 409, body: toJSONValue(result) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/orders\/(?<orderId>[^/]+)\/vouchers\/release$/,
+    handler: async (service, body, { orderId }) => {
+      const released = await service.releaseVoucher(orderId);
+      return { status: 200, body: toJSONValue({ released }) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/orders\/(?<orderId>[^/]+)\/points\/reserve$/,
+    handler: async (service, body, { orderId }) => {
+      if (!Number.isInteger(body.points) || body.points < 1) {
+        throw new RequestValidationError('INVALID_POINTS', 'points must be a positive whole number', { field: 'points' });
+      }
+      const result = await service.reservePoints(parseCustomer(body.customer), body.points, orderId);
+      return { status: result.success ? 200 : 409, body: toJSONValue(result) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/orders\/(?<orderId>[^/]+)\/points\/commit$/,
+    handler: async (service, body, { orderId }) => {
+      const result = await service.commitPoints(orderId);
+      return { status: result.success ? 200 : 409, body: toJSONValue(result) };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/orders\/(?<orderId>[^/]+)\/points\/release$/,
+    handler: async (service, body, { orderId }) => {
+      const released = await service.releasePoints(orderId);
+      return { status: 200, body: toJSONValue({ released }) };
+    }
+  }
+];
+
+/**
+ * Promotion admin routes, served only by createAdminServer - each handler
+ * receives (discountService, body, params, identity) where identity is the
+ * authenticated caller, recorded as the author of rule changes
+ */
+const ADMIN_ROUTES = [
+  {
+    method: 'GET',
+    pattern: /^\/admin\/rulesets$/,
+    handler: async service => ({
+      status: 200,
+      body: toJSONValue({ current_version: service.registry.currentVersion, versions: service.registry.listVersions() })
+    })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/admin\/rulesets\/(?<version>\d+)$/,
+    handler: async (service, body, { version }) => ({
+      status: 200,
+      body: toJSONValue(service.registry.getVersion(Number(version)))
+    })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/admin\/rulesets\/(?<version>\d+)\/rollback$/,
+    handler: async (service, body, { version }, identity) => ({
+      status: 201,
+      body: toJSONValue(summarizeVersion(await service.registry.rollback(Number(version), identity.id)))
+    })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/admin\/rules\/(?<type>[^/]+)$/,
+    handler: async (service, body, { type }) => ({
+      status: 200,
+      body: toJSONValue({ version: service.registry.currentVersion, rules: service.registry.listRules(type) })
+    })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/admin\/rules\/(?<type>[^/]+)\/(?<key>[^/]+)$/,
+    handler: async (service, body, { type, key }) => ({
+      status: 200,
+      body: toJSONValue({ version: service.registry.currentVersion, rule: service.registry.getRule(type, key) })
+    })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/admin\/rules\/(?<type>[^/]+)\/(?<key>[^/]+)$/,
+    handler: async (service, body, { type, key }, identity) => ({
+      status: 201,
+      body: serializeRuleChange(await service.registry.createRule(type, key, body.rule, identity.id))
+    })
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/admin\/rules\/(?<type>[^/]+)\/(?<key>[^/]+)$/,
+    handler: async (service, body, { type, key }, identity) => ({
+      status: 200,
+      body: serializeRuleChange(await service.registry.updateRule(type, key, body.changes, identity.id))
+    })
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/admin\/rules\/(?<type>[^/]+)\/(?<key>[^/]+)$/,
+    handler: async (service, body, { type, key }, identity) => ({
+      status: 200,
+      body: serializeRuleChange(await service.registry.deleteRule(type, key, identity.id))
+    })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/admin\/rules\/(?<type>[^/]+)\/(?<key>[^/]+)\/(?<action>disable|enable)$/,
+    handler: async (service, body, { type, key, action }, identity) => ({
+      status: 200,
+      body: serializeRuleChange(action === 'disable'
+        ? await service.registry.disableRule(type, key, identity.id)
+        : await service.registry.enableRule(type, key, identity.id))
+    })
+  }
+];
+
+/**
+ * Create the storefront HTTP JSON API in front of a DiscountService.
+ * It does not serve the /admin routes, see createAdminServer.
+ * @param {DiscountService} discountService - Service to expose
+ * @returns {http.Server} Server (call listen() to start it)
+ */
+export function createServer(discountService = new DiscountService()) {
+  return http.createServer((request, response) => handleRequest(ROUTES, discountService, request, response));
+}
+
+/**
+ * Create the promotion admin HTTP JSON API (/admin routes) in front of a DiscountService.
+ * Every request must authenticate; the caller's identity, not the request body,
+ * is recorded as the author of rule changes.
+ * @param {DiscountService} discountService - Service whose registry is managed
+ * @param {Object} options - Admin server options
+ * @param {Function} options.authenticate - Receives the request and resolves to the caller's
+ *   identity { id }, or null when the request is not authenticated; see createTokenAuthenticator
+ * @returns {http.Server} Server (call listen() to start it)
+ * @throws {TypeError} If no authenticate function is given
+ */
+export function createAdminServer(discountService, { authenticate } = {}) {
+  if (typeof authenticate !== 'function') {
+    throw new TypeError('createAdminServer needs an authenticate(request) function');
+  }
+
+  return http.createServer((request, response) => handleRequest(ADMIN_ROUTES, discountService, request, response, async () => {
+    const identity = await authenticate(request);
+    if (typeof identity?.id !== 'string' || identity.id === '') {
+      throw new AuthenticationError('UNAUTHENTICATED', 'Admin requests need valid credentials');
+    }
+    return identity;
+  }));
+}
+
+/**
+ * Authenticate admin requests by bearer token (Authorization: Bearer <token>)
+ * @param {Object} tokens - Token -> ID of the admin it belongs to
+ * @returns {Function} authenticate function for createAdminServer
+ */
+export function createTokenAuthenticator(tokens) {
+  // Compare digests so the comparison takes the same time whatever the token
+  const digests = Object.entries(tokens).map(([token, id]) => ({ digest: sha256(token), id }));
+  return async request => {
+    const [scheme, token] = (request.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return null;
+    }
+    const digest = sha256(token);
+    const match = digests.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+    return match ? { id: match.id } : null;
+  };
+}
+
+/**
+ * Route a request and send the handler's response, or the error as JSON
+ * @param {Function} authenticate - Resolves to the caller's identity or throws (null for open routes)
+ */
+async function handleRequest(routes, discountService, request, response, authenticate = null) {
+  try {
+    const identity = authenticate ? await authenticate() : null;
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const matches = routes
+      .map(route => ({ route, match: route.pattern.exec(pathname) }))
+      .filter(({ match }) => match);
+
+    if (matches.length === 0) {
+      throw new RequestValidationError('NOT_FOUND', `No route for ${pathname}`, {}, 404);
+    }
+
+    const matched = matches.find(({ route }) => route.method === request.method);
+    if (!matched) {
+      throw new RequestValidationError('METHOD_NOT_ALLOWED', `${request.method} is not allowed on ${pathname}`, {
+        allowed: matches.map(({ route }) => route.method)
+      }, 405);
+    }
+
+    const params = Object.fromEntries(
+      Object.entries(matched.match.groups || {}).map(([key, value]) => [key, decodePathParam(key, value)])
+    );
+    const body = await readJsonBody(request);
+    const result = await matched.route.handler(discountService, body, params, identity);
+    sendJson(response, result.status, result.body);
+  } catch (error) {
+    if (error instanceof DiscountError) {
+      sendJson(response, error.statusCode, { error: error.toJSON() });
+    } else {
+      console.error('Unhandled API error:', error);
+      sendJson(response, 500, {
+        error: { code: 'INTERNAL_ERROR', message: 'Failed to process request', details: {} }
+      });
+    }
+  }
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * @throws {RequestValidationError} INVALID_PATH if the segment is not valid percent-encoded UTF-8
+ */
+function decodePathParam(name, value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new RequestValidationError('INVALID_PATH', `Malformed percent-encoding in ${name}`, { param: name });
+  }
+}
+
+/**
+ * Response for an admin rule change: the new version and the rule as it now stands (null once deleted)
+ */
+function serializeRuleChange(version) {
+  const { type, key } = version.change;
+  return toJSONValue({ version: summarizeVersion(version), rule: version.document[type]?.[key] ?? null });
+}
+
+function summarizeVersion({ document, ...summary }) {
+  return summary;
+}
+
+/**
+ * Read and parse a JSON request body (an empty body is treated as {})
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+
+    request.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestValidationError('PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`, {}, 413));
+        return;
+      }
+
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') {
+        resolve({});
+        return;
+      }
+
+      try {
+        const body = JSON.parse(text);
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new RequestValidationError('INVALID_JSON', 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new RequestValidationError('INVALID_JSON', `Request body is not valid JSON: ${error.message}`));
+      }
+    });
+
+    request.on('error', reject);
+  });
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+function sendJson(response, status, body) {
+  const payload = JSON.stringify(body);
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  response.end(payload);
+}
+
+// Start the server when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || 3000;
+  // DATA_DIR keeps rules, redemptions, points and generated codes on disk across restarts
+  const repository = process.env.DATA_DIR ? new FileRepository(process.env.DATA_DIR) : null;
+  const discountService = new DiscountService({ repository });
+  createServer(discountService).listen(port, () => {
+    console.log(`🛍️  Discount API listening on http://localhost:${port}`);
+  });
+
+  // ADMIN_TOKENS=priya:<token>,arjun:<token> starts the admin API, on localhost unless ADMIN_HOST says otherwise
+  if (process.env.ADMIN_TOKENS) {
+    const tokens = Object.fromEntries(process.env.ADMIN_TOKENS.split(',').map(entry => {
+      const separator = entry.indexOf(':');
+      return [entry.slice(separator + 1), entry.slice(0, separator)];
+    }));
+    const adminPort = Number(process.env.ADMIN_PORT) || 3001;
+    const adminHost = process.env.ADMIN_HOST || '127.0.0.1';
+    createAdminServer(discountService, { authenticate: createTokenAuthenticator(tokens) }).listen(adminPort, adminHost, () => {
+      console.log(`🔐 Promotion admin API listening on http://${adminHost}:${adminPort}`);
+    });
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Errors thrown by the discount services. Each carries a stable `code` callers
+ * can branch on, a `statusCode` hint for HTTP responses and structured `details`
+ * (e.g. the index of the offending cart line). Messages are operator-facing
+ * English; codes never change once published.
+ */
+export class DiscountError extends Error {
+  constructor(code, message, details = {}, statusCode = 500, options = undefined) {
+    super(message, options);
+    this.name = 'DiscountError';
+    this.code = code;
+    this.details = details;
+    this.statusCode = statusCode;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+/**
+ * Raised when an argument or request is malformed: a bad cart, customer, locale or return
+ */
+export class ValidationError extends DiscountError {
+  constructor(code, message, details = {}, statusCode = 400) {
+    super(code, message, details, statusCode);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Raised when something a caller named (a voucher campaign, a rule) does not exist
+ */
+export class NotFoundError extends DiscountError {
+  constructor(code, message, details = {}, statusCode = 404) {
+    super(code, message, details, statusCode);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Raised when a request is well-formed but the current state or configuration cannot satisfy it,
+ * e.g. generating codes for a voucher without a code_format
+ */
+export class ConflictError extends DiscountError {
+  constructor(code, message, details = {}, statusCode = 409) {
+    super(code, message, details, statusCode);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Raised when a caller cannot be identified, e.g. an admin request without valid credentials
+ */
+export class AuthenticationError extends DiscountError {
+  constructor(code, message, details = {}, statusCode = 401) {
+    super(code, message, details, statusCode);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Raised when pricing fails for a reason that is not the caller's input; the original error is its cause
+ */
+export class PricingError extends DiscountError {
+  constructor(code, message, details = {}, cause = undefined) {
+    super(code, message, details, 500, cause && { cause });
+    this.name = 'PricingError';
+  }
+}
+
+/**
+ * Raised when stored state cannot be read back, e.g. a damaged data file; the original error is its cause
+ */
+export class StorageError extends DiscountError {
+  constructor(code, message, details = {}, cause = undefined) {
+    super(code, message, details, 500, cause && { cause });
+    this.name = 'StorageError';
+  }
+}
+
+/**
+ * Diagnostic entry for a result's `diagnostics` list, in place of logging
+ * @param {string} severity - 'warning' (something was skipped) or 'error' (something failed)
+ * @param {string} code - Stable code, e.g. an errorCode such as 'MIN_ORDER_NOT_MET'
+ * @param {string} message - What happened
+ * @param {Object} details - Structured context, e.g. { voucher_code }
+ * @returns {Object} { severity, code, message, details }
+ */
+export function createDiagnostic(severity, code, message, details = {}) {
+  return { severity, code, message, details };
+}
+
+/**
+ * Diagnostic for a caught error; errors that are not DiscountErrors get code 'INTERNAL_ERROR'
+ * @returns {Object} See createDiagnostic
+ */
+export function toDiagnostic(error, severity = 'error') {
+  return error instanceof DiscountError
+    ? createDiagnostic(severity, error.code, error.message, error.details)
+    : createDiagnostic(severity, 'INTERNAL_ERROR', error.message, { name: error.name });
+}
@@ -1,4 +1,16 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { DiscountService } from './services/DiscountService.js';
+import { FileRepository } from './services/Repository.js';
+import { FileQuoteStore } from './services/QuoteStore.js';
+import { FilePointsStore } from './services/LoyaltyLedger.js';
+import { OfferOptimizer } from './services/OfferOptimizer.js';
+import { createAdminServer, createServer, createTokenAuthenticator } from './api/server.js';
+import { RuleValidationError, buildRuleSet, parseRuleDocument, watchRulesFile } from './services/RuleLoader.js';
+import { DEFAULT_CODE_FORMAT, computeCheckCharacter } from './utils/voucherCodes.js';
+import { formatMessage } from './utils/messages.js';
+import { DiscountError, NotFoundError, PricingError, ValidationError } from './errors/index.js';
 import { 
   sampleCartItems, 
   sampleCustomer, 
@@ -39,6 +51,31 @@ class DiscountServiceEvaluationTest {
     await this.testErrorMessages();
     await this.testCodeOrganization();
     await this.testAssignmentScenario();
+    await this.testRuleConfiguration();
+    await this.testVoucherRestrictions();
+    await this.testVoucherLedger();
+    await this.testHttpApi();
+    await this.testLineItemAllocation();
+    await this.testPartialReturnRefund();
+    await this.testBestOfferOptimizer();
+    await this.testBuyXGetYPromotions();
+    await this.testCartThresholdPromotions();
+    await this.testStackingPolicy();
+    await this.testBrandMinimumDiscount();
+    await this.testScheduledCampaigns();
+    await this.testBankOfferConditions();
+    await this.testCashbackOffers();
+    await this.testMembershipDiscounts();
+    await this.testLoyaltyPoints();
+    await this.testMultipleVouchers();
+    await this.testGeneratedVoucherCodes();
+    await this.testCurrencyAndRounding();
+    await this.testGstCalculation();
+    await this.testCalculationTrace();
+    await this.testLocalizedMessages();
+    await this.testTypedErrors();
+    await this.testRulesetVersioning();
+    await this.testFilePersistence();
 
     this.printSummary();
   }
@@ -97,11 +134,14 @@ class DiscountServiceEvaluationTest {
     console.log('\n✅ TEST 3: Clear Validation Rules');
     console.log('-'.repeat(50));
 
-    const validVoucher = await this.discountService.validateDiscountCode(
+    // Price as of a date inside SUPER69's validity so the test does not expire
+    const discountService = new DiscountService({ clock: () => new Date('2025-06-01T12:00:00+05:30') });
+
+    const validVoucher = await discountService.validateDiscountCode(
       'SUPER69', sampleCartItems, sampleCustomer
     );
     
-    const invalidVoucher = await this.discountService.validateDiscountCode(
+    const invalidVoucher = await discountService.validateDiscountCode(
       'INVALID123', sampleCartItems, sampleCustomer
     );
 
@@ -208,6 +248,1528 @@ class DiscountServiceEvaluationTest {
     this.logResult('Assignment Scenario', scenarioComplete);
   }
 
+  /**
+   * Test 7: Rule Loading, Validation & Hot Reload
+   */
+  async testRuleConfiguration() {
+    console.log('\n📂 TEST 7: Rule Loading, Validation & Hot Reload');
+    console.log('-'.repeat(50));
+
+    const yamlRules = parseRuleDocument([
+      'brands:',
+      '  PUMA: { percentage: 40, min_discount: 40 }',
+      'categories:',
+      '  T-shirts: { percentage: 10 }',
+      'bank_offers:',
+      '  ICICI: { percentage: 10, max_discount: 2000 }',
+      'vouchers:',
+      '  SUPER69: { percentage: 69, max_discount: 5000, min_order_value: 1000 }'
+    ].join('\n'), 'yaml');
+
+    const service = new DiscountService({ rules: yamlRules });
+    const loaded = service.brandDiscounts.get('PUMA')?.percentage === 40;
+    console.log(`YAML rules loaded: ${loaded ? 'YES' : 'NO'}`);
+
+    let rejected = false;
+    try {
+      buildRuleSet({ brands: { PUMA: { percentage: 140 } }, coupons: {} });
+    } catch (error) {
+      rejected = error instanceof RuleValidationError && error.errors.length === 2;
+      console.log(`Bad rules rejected:\n${error.message}`);
+    }
+
+    // Reload while a calculation is waiting on voucher validation
+    const customerWithVoucher = { ...sampleCustomerNoVoucher, voucherCode: 'SUPER69' };
+    const inFlight = service.calculateCartDiscounts(sampleCartItems, customerWithVoucher, samplePaymentInfo);
+    service.reloadRules(buildRuleSet({ ...yamlRules, bank_offers: { ICICI: { percentage: 50 } } }));
+    const before = await inFlight;
+    const after = await service.calculateCartDiscounts(sampleCartItems, customerWithVoucher, samplePaymentInfo);
+
+    const pinned = before.applied_discounts.Bank_ICICI.equals(new Decimal(92.07))
+      && after.applied_discounts.Bank_ICICI.equals(new Decimal(460.35));
+    console.log(`In-flight bank discount: ₹${before.applied_discounts.Bank_ICICI} (old rules)`);
+    console.log(`Next bank discount: ₹${after.applied_discounts.Bank_ICICI} (reloaded rules)`);
+
+    // A watched file that fails to load leaves a diagnostic instead of logging, until a good file loads
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'discount-rules-'));
+    const rulesPath = path.join(directory, 'rules.json');
+    const watched = new DiscountService({ rules: yamlRules });
+    const waitFor = async condition => {
+      for (let attempt = 0; attempt < 200 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+    let badReload;
+    let goodReload;
+    fs.writeFileSync(rulesPath, JSON.stringify(yamlRules));
+    const stopWatching = watchRulesFile(rulesPath, watched, { interval: 10, persistent: false });
+    try {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      fs.writeFileSync(rulesPath, JSON.stringify({ brands: { PUMA: { percentage: 140 } } }));
+      await waitFor(() => watched.ruleReloadDiagnostic);
+      badReload = watched.ruleReloadDiagnostic;
+      await new Promise(resolve => setTimeout(resolve, 50));
+      fs.writeFileSync(rulesPath, JSON.stringify({ ...yamlRules, bank_offers: {} }));
+      await waitFor(() => !watched.ruleReloadDiagnostic);
+      goodReload = watched.registry.currentVersion;
+    } finally {
+      stopWatching();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+    console.log(`Watched file: bad edit → ${badReload?.code}, next edit → v${goodReload}, diagnostic ${watched.ruleReloadDiagnostic}`);
+    const watchedReload = badReload?.severity === 'error' && badReload.code === 'INVALID_RULES'
+      && goodReload === 2 && watched.ruleReloadDiagnostic === null && !watched.bankOffers.has('ICICI');
+
+    this.logResult('Rule Loading & Hot Reload', loaded && rejected && pinned && watchedReload);
+  }
+
+  /**
+   * Test 8: Voucher Brand, Category & Tier Restrictions
+   */
+  async testVoucherRestrictions() {
+    console.log('\n🎟️ TEST 8: Voucher Restrictions');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService();
+    service.voucherCodes.set('NOPUMA', { percentage: 20, excluded_brands: ['PUMA'] });
+    service.voucherCodes.set('SHOES10', { percentage: 10, allowed_categories: ['Shoes'] });
+    service.voucherCodes.set('GOLD15', { percentage: 15, eligible_tiers: ['gold'] });
+
+    const shoes = new CartItem({
+      product: new Product({
+        id: 'NIKE-SHOES-001', brand: 'NIKE', brand_tier: BrandTier.PREMIUM,
+        category: 'Shoes', base_price: 8000, current_price: 8000
+      }),
+      quantity: 1,
+      size: '9'
+    });
+    const mixedCart = [...sampleCartItems, shoes];
+
+    const brandExcluded = await service.validateDiscountCode('NOPUMA', sampleCartItems, sampleCustomer);
+    const categoryRejected = await service.validateDiscountCode('SHOES10', sampleCartItems, sampleCustomer);
+    const tierRejected = await service.validateDiscountCode('GOLD15', sampleCartItems, sampleCustomer);
+
+    [brandExcluded, categoryRejected, tierRejected].forEach(result => {
+      console.log(`${result.errorCode}: ${result.error}`);
+    });
+
+    // SHOES10 on a mixed cart discounts only the NIKE shoes line (₹8000 → 35% → 15% = ₹4420)
+    const customer = { ...sampleCustomerNoVoucher, voucherCode: 'SHOES10' };
+    const result = await service.calculateCartDiscounts(mixedCart, customer, null);
+    const voucherDiscount = result.applied_discounts.Voucher_SHOES10;
+    console.log(`SHOES10 on mixed cart: ₹${voucherDiscount} (expected ₹442)`);
+
+    const passed = brandExcluded.errorCode === 'BRAND_EXCLUDED'
+      && categoryRejected.errorCode === 'CATEGORY_NOT_ELIGIBLE'
+      && tierRejected.errorCode === 'TIER_NOT_ELIGIBLE'
+      && !!voucherDiscount && voucherDiscount.equals(new Decimal(442));
+
+    this.logResult('Voucher Restrictions', passed);
+  }
+
+  /**
+   * Test 9: Voucher Redemption Ledger & Usage Limits
+   */
+  async testVoucherLedger() {
+    console.log('\n📒 TEST 9: Voucher Redemption Ledger');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService();
+    service.voucherCodes.set('ONCE50', { percentage: 50, usage_limit: 2, usage_limit_per_customer: 1 });
+    const otherCustomer = { ...sampleCustomer, id: 'CUST-999' };
+
+    const reserved = await service.reserveVoucher('ONCE50', sampleCartItems, sampleCustomer, 'ORDER-1');
+    const blockedWhileReserved = await service.validateDiscountCode('ONCE50', sampleCartItems, sampleCustomer);
+    console.log(`Reserved for ORDER-1: ${reserved.success}`);
+    console.log(`Same customer while reserved: ${blockedWhileReserved.errorCode}`);
+
+    await service.releaseVoucher('ORDER-1');
+    const afterRelease = await service.validateDiscountCode('ONCE50', sampleCartItems, sampleCustomer);
+    console.log(`Same customer after release: ${afterRelease.isValid ? 'VALID' : afterRelease.errorCode}`);
+
+    const firstReserve = await service.reserveVoucher('ONCE50', sampleCartItems, sampleCustomer, 'ORDER-2');
+    const retried = await service.reserveVoucher('ONCE50', sampleCartItems, sampleCustomer, 'ORDER-2');
+    const onceCustomer = { ...sampleCustomer, voucherCode: 'ONCE50' };
+    const repriced = await service.calculateCartDiscounts(sampleCartItems, onceCustomer, null, { orderId: 'ORDER-2' });
+    const otherOrder = await service.calculateCartDiscounts(sampleCartItems, onceCustomer, null, { orderId: 'ORDER-9' });
+    console.log(`Retried reserve for ORDER-2: ${retried.success}; repriced ORDER-2 keeps ONCE50: ${repriced.applied_discounts.Voucher_ONCE50 !== undefined}`);
+    await service.reserveVoucher('ONCE50', sampleCartItems, otherCustomer, 'ORDER-3');
+    const committed = await service.commitVoucher('ORDER-2');
+    const globalCap = await service.reserveVoucher('ONCE50', sampleCartItems, sampleCustomerNoVoucher, 'ORDER-4');
+    console.log(`ORDER-2 committed: ${committed.success}`);
+    console.log(`Third customer: ${globalCap.errorCode} - ${globalCap.error}`);
+
+    const passed = reserved.success
+      && blockedWhileReserved.errorCode === 'USAGE_LIMIT_REACHED'
+      && afterRelease.isValid
+      && retried.success && retried.redemption.reserved_at === firstReserve.redemption.reserved_at
+      && repriced.applied_discounts.Voucher_ONCE50 !== undefined
+      && otherOrder.applied_discounts.Voucher_ONCE50 === undefined
+      && committed.success
+      && globalCap.errorCode === 'USAGE_LIMIT_REACHED';
+
+    this.logResult('Voucher Redemption Ledger', passed);
+  }
+
+  /**
+   * Test 10: HTTP JSON API
+   */
+  async testHttpApi() {
+    console.log('\n🌐 TEST 10: HTTP JSON API');
+    console.log('-'.repeat(50));
+
+    const server = createServer(new DiscountService());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const cart = [
+      { product: { id: 'PUMA-TSHIRT-001', brand: 'PUMA', category: 'T-shirts', base_price: 2000 }, quantity: 2, size: 'L' },
+      { product: { id: 'PUMA-TSHIRT-002', brand: 'PUMA', category: 'T-shirts', base_price: '1500' }, quantity: 1, size: 'M' }
+    ];
+    const customer = { id: 'CUST-002', tier: 'regular' };
+
+    try {
+      const calculate = await post('/discounts/calculate', {
+        cart_items: cart,
+        customer,
+        payment_info: { method: 'CARD', bank_name: 'ICICI', card_type: 'CREDIT' }
+      });
+      const priced = await calculate.json();
+      console.log(`POST /discounts/calculate → ${calculate.status} final_price=${JSON.stringify(priced.final_price)}`);
+
+      const validate = await post('/vouchers/INVALID123/validate', { cart_items: cart, customer });
+      const validation = await validate.json();
+      console.log(`POST /vouchers/INVALID123/validate → ${validate.status} ${validation.errorCode}`);
+
+      const badCart = await post('/discounts/calculate', {
+        cart_items: [{ ...cart[0], quantity: 0 }],
+        customer
+      });
+      const badCartError = (await badCart.json()).error;
+      console.log(`Bad quantity → ${badCart.status} ${badCartError.code} (${badCartError.details.field})`);
+
+      const badJson = await post('/discounts/available', '{not json');
+      const badJsonError = (await badJson.json()).error;
+      console.log(`Malformed JSON → ${badJson.status} ${badJsonError.code}`);
+
+      const badPath = await post('/vouchers/%E0%A4/validate', { cart_items: cart, customer });
+      const badPathError = (await badPath.json()).error;
+      console.log(`Malformed path → ${badPath.status} ${badPathError.code}`);
+
+      const passed = calculate.status === 200 && priced.final_price === '2673'
+        && validate.status === 200 && validation.errorCode === 'VOUCHER_NOT_FOUND'
+        && badCart.status === 400 && badCartError.code === 'INVALID_CART_ITEM'
+        && badJson.status === 400 && badJsonError.code === 'INVALID_JSON'
+        && badPath.status === 400 && badPathError.code === 'INVALID_PATH';
+
+      this.logResult('HTTP JSON API', passed);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  /**
+   * Test 11: Per-Line Discount Allocation
+   */
+  async testLineItemAllocation() {
+    console.log('\n🧾 TEST 11: Per-Line Discount Allocation');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService();
+    service.voucherCodes.set('FLAT100', { percentage: 50, max_discount: 100 });
+
+    const socks = ['RED', 'BLUE', 'GREEN'].map(colour => new CartItem({
+      product: new Product({
+        id: `SOCKS-${colour}`, brand: 'LOCAL', brand_tier: BrandTier.BUDGET,
+        category: 'Socks', base_price: 1000, current_price: 1000
+      }),
+      quantity: 1,
+      size: 'FREE'
+    }));
+
+    const customer = { ...sampleCustomerNoVoucher, voucherCode: 'FLAT100' };
+    const result = await service.calculateCartDiscounts(socks, customer, samplePaymentInfo);
+
+    result.line_items.forEach(line => {
+      const discounts = Object.entries(line.applied_discounts).map(([name, amount]) => `${name} ₹${amount}`).join(', ');
+      console.log(`${line.product_id}: ₹${line.original_price} - (${discounts}) = ₹${line.final_price}`);
+    });
+
+    const sumOfLines = result.line_items.reduce((total, line) => total.add(line.final_price), new Decimal(0));
+    const voucherShares = result.line_items.map(line => line.applied_discounts.Voucher_FLAT100.toString());
+    console.log(`Sum of lines: ₹${sumOfLines} / Final price: ₹${result.final_price}`);
+
+    // Assignment scenario lines carry brand, category and their share of the bank offer
+    const scenario = await service.calculateCartDiscounts(
+      testScenarios.complete.cartItems,
+      testScenarios.complete.customer,
+      testScenarios.complete.paymentInfo
+    );
+    const bankShares = scenario.line_items.map(line => line.applied_discounts.Bank_ICICI.toString());
+    console.log(`ICICI offer per line: ₹${bankShares.join(' + ₹')}`);
+
+    const passed = sumOfLines.equals(result.final_price)
+      && voucherShares.join(',') === '33.34,33.33,33.33'
+      && bankShares.join(',') === '216,81'
+      && scenario.line_items[0].final_price.equals(new Decimal(1944));
+
+    this.logResult('Per-Line Discount Allocation', passed);
+  }
+
+  /**
+   * Test 12: Partial Return Refunds & Clawbacks
+   */
+  async testPartialReturnRefund() {
+    console.log('\n↩️ TEST 12: Partial Return Refunds & Clawbacks');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService();
+
+    // Returning one T-shirt from the assignment scenario keeps every discount valid
+    const order = await service.calculateCartDiscounts(
+      testScenarios.complete.cartItems,
+      testScenarios.complete.customer,
+      testScenarios.complete.paymentInfo
+    );
+    const simpleReturn = await service.calculateReturnRefund(order, [{ index: 1, quantity: 1 }]);
+    console.log(`Return PUMA-TSHIRT-002: refund ₹${simpleReturn.refund_amount}, clawbacks: ${simpleReturn.clawbacks.length}`);
+
+    // Returning the socks drops the cart below the voucher's ₹2500 minimum
+    service.voucherCodes.set('MIN2500', { percentage: 20, min_order_value: 2500 });
+    const socks = new CartItem({
+      product: new Product({
+        id: 'SOCKS-001', brand: 'LOCAL', brand_tier: BrandTier.BUDGET,
+        category: 'Socks', base_price: 800, current_price: 800
+      }),
+      quantity: 1,
+      size: 'FREE'
+    });
+    const customer = { ...sampleCustomerNoVoucher, voucherCode: 'MIN2500' };
+    const tshirt = new CartItem({ product: sampleCartItems[0].product, quantity: 1, size: 'L' });
+    const voucherOrder = await service.calculateCartDiscounts([tshirt, socks], customer, null);
+    const voucherReturn = await service.calculateReturnRefund(voucherOrder, [{ index: 1, quantity: 1 }]);
+
+    const [clawback] = voucherReturn.clawbacks;
+    const [lineRefund] = voucherReturn.line_refunds;
+    console.log(`Order total: ₹${voucherOrder.final_price}`);
+    console.log(`Return SOCKS-001: paid ₹${lineRefund.paid_amount}, clawback ₹${lineRefund.clawback}, refund ₹${lineRefund.refund_amount}`);
+    console.log(`Clawed back ${clawback.discount}: ₹${clawback.clawback_amount} (${clawback.reason})`);
+
+    let rejected = false;
+    try {
+      await service.calculateReturnRefund(order, [{ index: 0, quantity: 3 }]);
+    } catch (error) {
+      rejected = error.message.includes('Invalid return');
+      console.log(`Over-return rejected: ${error.message}`);
+    }
+
+    // A string index or a missing entry is rejected rather than returning nothing
+    const badLines = [];
+    for (const returned of [[{ index: '1', quantity: 1 }], [null]]) {
+      try {
+        await service.calculateReturnRefund(order, returned);
+      } catch (error) {
+        badLines.push(error);
+        console.log(`${JSON.stringify(returned)} rejected: ${error.code} (index ${error.details.index})`);
+      }
+    }
+
+    const passed = simpleReturn.refund_amount.equals(new Decimal(729))
+      && simpleReturn.clawbacks.length === 0
+      && voucherReturn.refund_amount.equals(new Decimal(424))
+      && clawback.discount === 'Voucher_MIN2500'
+      && clawback.clawback_amount.equals(new Decimal(216))
+      && clawback.reason.startsWith('MIN_ORDER_NOT_MET')
+      && voucherReturn.remaining.final_price.equals(new Decimal(1080))
+      && rejected
+      && badLines.length === 2 && badLines.every(error => error instanceof ValidationError && error.code === 'INVALID_RETURN')
+      && badLines[0].details.index === '1' && badLines[1].details.index === null;
+
+    this.logResult('Partial Return Refunds', passed);
+  }
+
+  /**
+   * Test 13: Best Offer Optimizer
+   */
+  async testBestOfferOptimizer() {
+    console.log('\n🏆 TEST 13: Best Offer Optimizer');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        bank_offers: {
+          ICICI: { percentage: 10, max_discount: 2000 },
+          HDFC: { percentage: 8, max_discount: 1500 }
+        },
+        vouchers: {
+          WELCOME20: { percentage: 20, max_discount: 500, min_order_value: 500 },
+          SHOES10: { percentage: 10, allowed_categories: ['Shoes'] },
+          BIGSPEND: { percentage: 30, min_order_value: 10000 }
+        }
+      }
+    });
+
+    const offers = await new OfferOptimizer(service).findBestOffers(sampleCartItems, sampleCustomerNoVoucher);
+
+    offers.combinations.slice(0, 3).forEach(combination => {
+      const payment = combination.payment ? combination.payment.bank_name : 'any payment';
+      console.log(`#${combination.rank}: ${combination.voucher_code || 'no voucher'} + ${payment} → ₹${combination.final_price} (saves ₹${combination.total_savings})`);
+    });
+    offers.excluded_vouchers.forEach(({ code, errorCode }) => console.log(`Excluded ${code}: ${errorCode}`));
+
+    // WELCOME20 caps at ₹500: ₹2970 - ₹500 = ₹2470, then ICICI 10% = ₹2223
+    const passed = offers.best.voucher_code === 'WELCOME20'
+      && offers.best.payment.bank_name === 'ICICI'
+      && offers.best.final_price.equals(new Decimal(2223))
+      && offers.combinations.length === 6
+      && offers.excluded_vouchers.map(({ errorCode }) => errorCode).join(',') === 'CATEGORY_NOT_ELIGIBLE,MIN_ORDER_NOT_MET';
+
+    this.logResult('Best Offer Optimizer', passed);
+  }
+
+  /**
+   * Test 14: Buy X Get Y Promotions
+   */
+  async testBuyXGetYPromotions() {
+    console.log('\n🎁 TEST 14: Buy X Get Y Promotions');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService();
+    service.bxgyPromotions.set('PUMA_TEES_B2G1', {
+      buy_quantity: 2, get_quantity: 1, brands: ['PUMA'], categories: ['T-shirts']
+    });
+
+    // 3 PUMA T-shirts: the ₹1500 one is cheapest (₹810 after brand/category) and becomes free
+    const result = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, null);
+    const b2g1 = result.applied_discounts.BxGy_PUMA_TEES_B2G1;
+    console.log(`Buy 2 Get 1 Free: ₹${b2g1} off, final ₹${result.final_price}`);
+    console.log(`Line savings: ${result.line_items.map(line => `₹${line.applied_discounts.BxGy_PUMA_TEES_B2G1 || 0}`).join(', ')}`);
+
+    // Units are counted per line, so a bulk line prices without listing every unit
+    const bulkLine = new CartItem({ product: sampleCartItems[0].product, quantity: 300000, size: 'L' });
+    const bulk = await service.calculateCartDiscounts([bulkLine], sampleCustomerNoVoucher, null);
+    console.log(`300,000 T-shirts: ₹${bulk.applied_discounts.BxGy_PUMA_TEES_B2G1} off`);
+
+    // Buy 1 Get 1 at 50% on the most expensive unit: 2 x ₹2000 T-shirts (₹1080 each after discounts)
+    const bogoService = new DiscountService();
+    bogoService.bxgyPromotions.set('BOGO50', {
+      buy_quantity: 1, get_quantity: 1, get_percentage: 50,
+      product_ids: ['PUMA-TSHIRT-001', 'PUMA-TSHIRT-002'], free_unit_policy: 'most_expensive'
+    });
+    const bogo = await bogoService.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, null);
+    console.log(`BOGO 50% (most expensive): ₹${bogo.applied_discounts.BxGy_BOGO50} off - ${bogo.message}`);
+
+    let rejected = false;
+    try {
+      buildRuleSet({ bxgy_promotions: { BAD: { buy_quantity: 2, get_quantity: 1, free_unit_policy: 'random' } } });
+    } catch (error) {
+      rejected = error.errors.length === 1 && error.errors[0].includes('free_unit_policy');
+      console.log(`Bad promotion rejected: ${error.errors[0]}`);
+    }
+
+    const passed = !!b2g1 && b2g1.equals(new Decimal(810))
+      && result.final_price.equals(new Decimal(2160))
+      && result.line_items[1].applied_discounts.BxGy_PUMA_TEES_B2G1.equals(new Decimal(810))
+      && bogo.applied_discounts.BxGy_BOGO50.equals(new Decimal(540))
+      && bulk.applied_discounts.BxGy_PUMA_TEES_B2G1.equals(new Decimal(100000 * 1080))
+      && rejected;
+
+    this.logResult('Buy X Get Y Promotions', passed);
+  }
+
+  /**
+   * Test 15: Cart Threshold & Slab Promotions
+   */
+  async testCartThresholdPromotions() {
+    console.log('\n📶 TEST 15: Cart Threshold & Slab Promotions');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService();
+    service.cartPromotions.set('SLABS', {
+      slabs: [{ min_order_value: 2000, percentage: 5 }, { min_order_value: 5000, percentage: 10 }],
+      max_discount: 1000
+    });
+
+    // ₹2970 after brand/category reaches the 5% slab: ₹148.50 off, ₹2030 short of 10%
+    const slabResult = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, null);
+    console.log(`Slab discount: ₹${slabResult.applied_discounts.Cart_SLABS}`);
+    console.log(`Message: ${slabResult.message}`);
+
+    // Flat ₹500 above ₹2500: before vouchers ₹2970 qualifies (₹2470, then WELCOME20 takes ₹494);
+    // after vouchers ₹2970 - WELCOME20 ₹500 = ₹2470 falls ₹30 short
+    const flatRules = stage => ({
+      cart_promotions: { FLAT500: { slabs: [{ min_order_value: 2500, flat_amount: 500 }], stage } },
+      brands: { PUMA: { percentage: 40 } },
+      categories: { 'T-shirts': { percentage: 10 } },
+      vouchers: { WELCOME20: { percentage: 20, max_discount: 500 } }
+    });
+    const customer = { ...sampleCustomerNoVoucher, voucherCode: 'WELCOME20' };
+    const before = await new DiscountService({ rules: flatRules('before_vouchers') })
+      .calculateCartDiscounts(sampleCartItems, customer, null);
+    const after = await new DiscountService({ rules: flatRules('after_vouchers') })
+      .calculateCartDiscounts(sampleCartItems, customer, null);
+    console.log(`Before vouchers: final ₹${before.final_price} (${Object.keys(before.applied_discounts).join(', ')})`);
+    console.log(`After vouchers: final ₹${after.final_price} - ${after.message}`);
+
+    const passed = slabResult.applied_discounts.Cart_SLABS.equals(new Decimal(148.5))
+      && slabResult.message.includes('Add ₹2,030 more to get 10% off')
+      && before.final_price.equals(new Decimal(1976))
+      && !after.applied_discounts.Cart_FLAT500
+      && after.message.includes('Add ₹30 more to get ₹500 off');
+
+    this.logResult('Cart Threshold Promotions', passed);
+  }
+
+  /**
+   * Test 16: Stacking Policy
+   */
+  async testStackingPolicy() {
+    console.log('\n🧱 TEST 16: Stacking Policy');
+    console.log('-'.repeat(50));
+
+    const rules = stackingPolicy => ({
+      brands: { PUMA: { percentage: 40 } },
+      categories: { 'T-shirts': { percentage: 10 } },
+      bank_offers: { ICICI: { percentage: 10, max_discount: 2000 } },
+      vouchers: {
+        WELCOME20: { percentage: 20, max_discount: 500 },
+        WELCOME5: { percentage: 5 }
+      },
+      stacking_policy: stackingPolicy
+    });
+    const price = (stackingPolicy, voucherCode = null, paymentInfo = null) =>
+      new DiscountService({ rules: rules(stackingPolicy) })
+        .calculateCartDiscounts(sampleCartItems, { ...sampleCustomerNoVoucher, voucherCode }, paymentInfo);
+    const icici = new PaymentInfo({ method: 'CARD', bank_name: 'ICICI' });
+    const voucherOrBank = selection => ({
+      exclusivity_groups: [{ name: 'voucher_or_bank', members: ['Voucher_*', 'Bank_*'], selection }]
+    });
+
+    // 'first': WELCOME20 applies before the bank stage, so ICICI is blocked
+    const first = await price(voucherOrBank('first'), 'WELCOME20', icici);
+    console.log(`First wins: final ₹${first.final_price}, suppressed ${first.suppressed_discounts.map(s => `${s.discount} ₹${s.amount} (${s.reason})`)}`);
+
+    // 'best': WELCOME5 alone leaves ₹2821.50, ICICI alone ₹2673 - the bank offer wins
+    const best = await price(voucherOrBank('best'), 'WELCOME5', icici);
+    console.log(`Best wins: final ₹${best.final_price}, suppressed ${best.suppressed_discounts.map(s => s.discount)}`);
+
+    // Additive: 40% + 10% of ₹5500 MRP instead of 10% on the brand-discounted price
+    const additive = await price({ brand_category_mode: 'additive' });
+    console.log(`Additive brand + category: final ₹${additive.final_price}`);
+
+    // 50% cap on ₹5500: ₹2530 brand/category leaves ₹220 of WELCOME20's ₹500
+    const capped = await price({ max_total_discount_percentage: 50 }, 'WELCOME20');
+    console.log(`Capped: voucher ₹${capped.applied_discounts.Voucher_WELCOME20}, final ₹${capped.final_price}`);
+
+    const passed = first.final_price.equals(new Decimal(2470))
+      && !first.applied_discounts.Bank_ICICI
+      && first.suppressed_discounts[0]?.discount === 'Bank_ICICI'
+      && first.suppressed_discounts[0].amount.equals(new Decimal(247))
+      && best.final_price.equals(new Decimal(2673))
+      && !best.applied_discounts.Voucher_WELCOME5
+      && best.suppressed_discounts[0]?.discount === 'Voucher_WELCOME5'
+      && additive.final_price.equals(new Decimal(2750))
+      && capped.applied_discounts.Voucher_WELCOME20.equals(new Decimal(220))
+      && capped.final_price.equals(new Decimal(2750))
+      && capped.suppressed_discounts[0]?.amount.equals(new Decimal(280))
+      && capped.line_items.reduce((total, line) => total.add(line.final_price), new Decimal(0)).equals(capped.final_price);
+
+    this.logResult('Stacking Policy', passed);
+  }
+
+  /**
+   * Test 17: Sale Price vs Brand Minimum Discount
+   */
+  async testBrandMinimumDiscount() {
+    console.log('\n🏷️  TEST 17: Sale Price vs Brand Minimum Discount');
+    console.log('-'.repeat(50));
+
+    const item = (id, brand, category, basePrice, currentPrice) => new CartItem({
+      product: new Product({
+        id, brand, brand_tier: BrandTier.REGULAR, category, base_price: basePrice, current_price: currentPrice
+      }),
+      quantity: 1
+    });
+    const cart = [
+      item('PUMA-SALE', 'PUMA', 'T-shirts', 2000, 1000),   // 50% markdown beats PUMA's 40% minimum
+      item('PUMA-SHALLOW', 'PUMA', 'T-shirts', 2000, 1800), // 10% markdown is raised to 40%
+      item('LEVIS-SALE', 'LEVIS', 'Jeans', 1000, 800)       // no brand rule, markdown kept
+    ];
+
+    const result = await this.discountService.calculateCartDiscounts(cart, sampleCustomerNoVoucher, null);
+    result.line_items.forEach(line => {
+      console.log(`${line.product_id}: ₹${line.final_price} (${line.price_basis})`);
+    });
+    console.log(`Message: ${result.message}`);
+
+    // min_discount above percentage raises the guaranteed discount
+    const minService = new DiscountService({ rules: { brands: { PUMA: { percentage: 30, min_discount: 40 } } } });
+    const minResult = await minService.calculateCartDiscounts([item('PUMA-MRP', 'PUMA', 'T-shirts', 1000, 1000)],
+      sampleCustomerNoVoucher, null);
+    console.log(`Min 40% on a 30% rule: ₹${minResult.applied_discounts.Brand_PUMA} off`);
+
+    const [sale, shallow, levis] = result.line_items;
+    const passed = sale.price_basis === 'markdown'
+      && sale.applied_discounts.Markdown.equals(new Decimal(1000))
+      && sale.final_price.equals(new Decimal(900))
+      && shallow.price_basis === 'min_discount'
+      && shallow.applied_discounts.Brand_PUMA.equals(new Decimal(800))
+      && shallow.final_price.equals(new Decimal(1080))
+      && levis.price_basis === 'markdown'
+      && levis.final_price.equals(new Decimal(704))
+      && result.message.includes('50% off on PUMA (sale price)')
+      && minResult.applied_discounts.Brand_PUMA.equals(new Decimal(400));
+
+    this.logResult('Sale Price vs Brand Minimum', passed);
+  }
+
+  /**
+   * Test 18: Scheduled Campaigns
+   */
+  async testScheduledCampaigns() {
+    console.log('\n⏰ TEST 18: Scheduled Campaigns');
+    console.log('-'.repeat(50));
+
+    let now = new Date('2026-03-06T20:30:00+05:30'); // a Friday, 8:30pm IST
+    const service = new DiscountService({
+      clock: () => now,
+      rules: {
+        brands: {
+          PUMA: { percentage: 40, valid_from: '2026-03-01', valid_until: '2026-03-31' }
+        },
+        categories: {
+          'T-shirts': { percentage: 10, active_hours: { start: '20:00', end: '22:00' }, timezone: 'Asia/Kolkata' }
+        },
+        bank_offers: {
+          ICICI: { percentage: 10, max_discount: 2000, active_days: ['fri', 'sat', 'sun'] }
+        },
+        vouchers: {
+          HAPPYHOUR: { percentage: 5, active_hours: { start: '20:00', end: '22:00' } },
+          LAUNCH: { percentage: 5, valid_from: '2026-04-01' }
+        }
+      }
+    });
+    const icici = new PaymentInfo({ method: 'CARD', bank_name: 'ICICI' });
+
+    // Friday happy hour: everything is live
+    const happyHour = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, icici);
+    console.log(`Fri 8:30pm: ${Object.keys(happyHour.applied_discounts).join(', ')}`);
+
+    // Monday afternoon: no happy hour, no weekend bank offer
+    now = new Date('2026-03-09T15:00:00+05:30');
+    const monday = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, icici);
+    console.log(`Mon 3pm: ${Object.keys(monday.applied_discounts).join(', ')}`);
+    const outsideWindow = await service.validateDiscountCode('HAPPYHOUR', sampleCartItems, sampleCustomerNoVoucher);
+    const notStarted = await service.validateDiscountCode('LAUNCH', sampleCartItems, sampleCustomerNoVoucher);
+    console.log(`HAPPYHOUR: ${outsideWindow.errorCode} - ${outsideWindow.error}`);
+    console.log(`LAUNCH: ${notStarted.errorCode}`);
+
+    // Pricing "as of" a time overrides the clock; April is past the PUMA campaign
+    const april = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, null, {
+      at: new Date('2026-04-02T10:00:00+05:30')
+    });
+    console.log(`April: ${Object.keys(april.applied_discounts).join(', ') || 'no discounts'}`);
+
+    let rejected = false;
+    try {
+      buildRuleSet({ brands: { PUMA: { percentage: 40, active_hours: { start: '25:00', end: '22:00' }, active_days: ['funday'] } } });
+    } catch (error) {
+      rejected = error.errors.length === 2;
+      console.log(`Bad schedule rejected: ${error.errors.join('; ')}`);
+    }
+
+    const passed = ['Brand_PUMA', 'Category_T-shirts', 'Bank_ICICI'].every(key => happyHour.applied_discounts[key])
+      && Object.keys(monday.applied_discounts).join() === 'Brand_PUMA'
+      && outsideWindow.errorCode === 'VOUCHER_OUTSIDE_ACTIVE_WINDOW'
+      && notStarted.errorCode === 'VOUCHER_NOT_STARTED'
+      && Object.keys(april.applied_discounts).length === 0
+      && rejected;
+
+    this.logResult('Scheduled Campaigns', passed);
+  }
+
+  /**
+   * Test 19: Card, BIN and EMI Bank Offers
+   */
+  async testBankOfferConditions() {
+    console.log('\n💳 TEST 19: Card, BIN and EMI Bank Offers');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        bank_offers: {
+          ICICI: { percentage: 10, max_discount: 2000, card_types: ['CREDIT'], min_transaction_value: 3000 },
+          HDFC: { percentage: 8, max_discount: 1500 },
+          HDFC_EMI: {
+            bank_name: 'HDFC', percentage: 13, min_emi_tenure_months: 6,
+            card_networks: ['VISA'], bin_ranges: [{ from: '438600', to: '438699' }]
+          }
+        }
+      }
+    });
+    const card = fields => new PaymentInfo({ method: 'CARD', ...fields });
+
+    // Cart is ₹2970 after brand/category discounts
+    const debit = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher,
+      card({ bank_name: 'ICICI', card_type: 'DEBIT' }));
+    console.log(`ICICI debit: ${debit.message}`);
+    const belowMinimum = service.applyBankOffer(card({ bank_name: 'ICICI', card_type: 'CREDIT' }), new Decimal(2970));
+    const aboveMinimum = service.applyBankOffer(card({ bank_name: 'ICICI', card_type: 'CREDIT' }), new Decimal(5000));
+    console.log(`ICICI credit on ₹2970: ${belowMinimum.errorCode}; on ₹5000: ₹${aboveMinimum.discount} off`);
+
+    const emi = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher,
+      card({ bank_name: 'HDFC', card_type: 'CREDIT', card_network: 'VISA', card_bin: '43860012', emi_tenure_months: 9 }));
+    const shortEmi = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher,
+      card({ bank_name: 'HDFC', card_type: 'CREDIT', card_network: 'VISA', card_bin: '43860012', emi_tenure_months: 3 }));
+    console.log(`HDFC 9-month EMI: ${emi.message}`);
+    console.log(`HDFC 3-month EMI falls back to: ${Object.keys(shortEmi.applied_discounts).filter(key => key.startsWith('Bank_'))}`);
+
+    const upi = service.applyBankOffer(new PaymentInfo({ method: 'UPI', bank_name: 'HDFC' }), new Decimal(2970));
+    console.log(`HDFC UPI: ${upi.errorCode}`);
+
+    let rejected = false;
+    try {
+      buildRuleSet({ bank_offers: { AXIS: { percentage: 5, bin_ranges: [{ from: '5000', to: '49' }] } } });
+    } catch (error) {
+      rejected = error.errors[0].includes('bin_ranges');
+      console.log(`Bad BIN range rejected: ${error.errors[0]}`);
+    }
+
+    const passed = !debit.applied_discounts.Bank_ICICI
+      && debit.message.includes('only valid on credit cards')
+      && belowMinimum.errorCode === 'MIN_TRANSACTION_NOT_MET'
+      && aboveMinimum.discount.equals(new Decimal(500))
+      && emi.applied_discounts.Bank_HDFC_EMI.equals(new Decimal(386.1))
+      && shortEmi.applied_discounts.Bank_HDFC.equals(new Decimal(237.6))
+      && upi.errorCode === 'PAYMENT_METHOD_NOT_ELIGIBLE'
+      && rejected;
+
+    this.logResult('Bank Offer Conditions', passed);
+  }
+
+  /**
+   * Test 20: UPI & Wallet Cashback
+   */
+  async testCashbackOffers() {
+    console.log('\n💸 TEST 20: UPI & Wallet Cashback');
+    console.log('-'.repeat(50));
+
+    const now = new Date('2026-03-06T12:00:00+05:30');
+    const service = new DiscountService({
+      clock: () => now,
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        cashback_offers: {
+          PAYTM_UPI: { payment_methods: ['UPI'], providers: ['PAYTM'], flat_amount: 100, min_transaction_value: 500 },
+          WALLET5: { payment_methods: ['WALLET'], percentage: 5, max_cashback: 200, credit_to: 'WALLET', credit_after_hours: 48 }
+        }
+      }
+    });
+
+    // Cart is ₹2970 after brand/category discounts; cashback never lowers it
+    const upi = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher,
+      new PaymentInfo({ method: 'UPI', provider: 'Paytm' }));
+    console.log(`Paytm UPI: final ₹${upi.final_price}, cashback ₹${upi.cashback.amount} to ${upi.cashback.credit_to}`);
+
+    const wallet = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher,
+      new PaymentInfo({ method: 'WALLET', provider: 'MOBIKWIK' }));
+    console.log(`Wallet: ${wallet.message}, expected ${wallet.cashback.expected_credit_at.toISOString()}`);
+
+    const phonepe = service.calculateCashback(new PaymentInfo({ method: 'UPI', provider: 'PHONEPE' }), new Decimal(2970));
+    console.log(`PhonePe UPI: ${phonepe.errorCode}`);
+
+    // Cashback is on what the wallet pays after points, not on the points-paid share
+    const pointsService = new DiscountService({
+      clock: () => now,
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        cashback_offers: { WALLET5: { payment_methods: ['WALLET'], percentage: 5, max_cashback: 200 } },
+        loyalty_program: { point_value: 1, max_redeem_percentage: 100 }
+      }
+    });
+    await pointsService.loyaltyLedger.credit('CUST-002', 5000, 'welcome-bonus');
+    const walletPayment = new PaymentInfo({ method: 'WALLET', provider: 'MOBIKWIK' });
+    const withPoints = redeemPoints => pointsService.calculateCartDiscounts(sampleCartItems,
+      new CustomerProfile({ ...sampleCustomerNoVoucher, redeemPoints }), walletPayment);
+    const partPoints = await withPoints(970);
+    const allPoints = await withPoints(2970);
+    console.log(`Wallet after 970 points: pays ₹${partPoints.getAmountPayable()}, cashback ₹${partPoints.cashback?.amount}; after 2970 points: pays ₹${allPoints.getAmountPayable()}, cashback ${allPoints.cashback ? `₹${allPoints.cashback.amount}` : 'none'}`);
+
+    const passed = upi.final_price.equals(new Decimal(2970))
+      && upi.cashback.offer === 'PAYTM_UPI'
+      && upi.cashback.amount.equals(new Decimal(100))
+      && upi.cashback.credit_to === 'SOURCE'
+      && !Object.keys(upi.applied_discounts).some(key => key.includes('PAYTM'))
+      && wallet.final_price.equals(new Decimal(2970))
+      && wallet.cashback.amount.equals(new Decimal(148.5))
+      && wallet.cashback.expected_credit_at.getTime() === now.getTime() + 48 * 60 * 60 * 1000
+      && phonepe.cashback === null
+      && phonepe.errorCode === 'PROVIDER_NOT_ELIGIBLE'
+      && partPoints.cashback.amount.equals(new Decimal(100))
+      && allPoints.getAmountPayable().isZero() && allPoints.cashback === null;
+
+    this.logResult('UPI & Wallet Cashback', passed);
+  }
+
+  /**
+   * Test 21: Membership & Customer Segment Discounts
+   */
+  async testMembershipDiscounts() {
+    console.log('\n👑 TEST 21: Membership & Customer Segment Discounts');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        membership_discounts: {
+          PREMIUM_TEES: { percentage: 5, premium_only: true, categories: ['T-shirts'] },
+          GOLD: { percentage: 10, tiers: ['gold', 'platinum'], max_discount: 100 },
+          STUDENTS: { percentage: 3, customer_attributes: { student: true } }
+        }
+      }
+    });
+    const member = new CustomerProfile({ id: 'CUST-GOLD', tier: 'gold', is_premium_member: true, attributes: { student: true } });
+
+    // ₹2970 after brand/category: premium 5% = ₹148.50, then gold 10% of ₹2821.50 capped at ₹100
+    const result = await service.calculateCartDiscounts(sampleCartItems, member, null);
+    console.log(`Member discounts: ${Object.keys(result.applied_discounts).join(', ')}`);
+    console.log(`Message: ${result.message}`);
+
+    const regular = await service.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, null);
+    const available = service.getAvailableDiscounts(sampleCartItems, sampleCustomerNoVoucher);
+    available.upgrade_hints.forEach(hint => console.log(`Hint: ${hint.message}`));
+
+    const passed = Object.keys(result.applied_discounts).join() ===
+        'Brand_PUMA,Category_T-shirts,Membership_PREMIUM_TEES,Membership_GOLD,Membership_STUDENTS'
+      && result.applied_discounts.Membership_PREMIUM_TEES.equals(new Decimal(148.5))
+      && result.applied_discounts.Membership_GOLD.equals(new Decimal(100))
+      && !Object.keys(regular.applied_discounts).some(key => key.startsWith('Membership_'))
+      && available.memberships.length === 0
+      && available.upgrade_hints.length === 3
+      && available.upgrade_hints[0].requires[0] === 'premium membership';
+
+    this.logResult('Membership Discounts', passed);
+  }
+
+  /**
+   * Test 22: Loyalty Points Burn & Earn
+   */
+  async testLoyaltyPoints() {
+    console.log('\n⭐ TEST 22: Loyalty Points Burn & Earn');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        loyalty_program: {
+          point_value: 0.5,
+          max_redeem_percentage: 20,
+          min_redeem_points: 100,
+          earn_rate: 0.01,
+          category_earn_multipliers: { 'T-shirts': 2 }
+        }
+      }
+    });
+    await service.loyaltyLedger.credit('CUST-002', 2000, 'welcome-bonus');
+    const customer = redeemPoints => new CustomerProfile({ ...sampleCustomerNoVoucher, redeemPoints });
+
+    // ₹2970 payable: 20% cap allows ₹594 = 1188 points; earn 2 x 1% on the ₹2376 left
+    const result = await service.calculateCartDiscounts(sampleCartItems, customer(1500), null);
+    console.log(`Loyalty: ${JSON.stringify(result.loyalty)}, payable ₹${result.getAmountPayable()}`);
+    console.log(`Message: ${result.message}`);
+
+    const tooFew = await service.calculateCartDiscounts(sampleCartItems, customer(50), null);
+
+    const reserved = await service.reservePoints(customer(1500), result.loyalty.redeemed_points, 'ORDER-PTS-1');
+    const balanceReserved = await service.loyaltyLedger.getBalance('CUST-002');
+    // Repricing the order that holds the reservation still redeems the same points
+    const repriced = await service.calculateCartDiscounts(sampleCartItems, customer(1500), null, { orderId: 'ORDER-PTS-1' });
+    const otherOrder = await service.calculateCartDiscounts(sampleCartItems, customer(1500), null, { orderId: 'ORDER-PTS-9' });
+    console.log(`Repriced ORDER-PTS-1: ${repriced.loyalty.redeemed_points} points, another order: ${otherOrder.loyalty.redeemed_points}`);
+    const overspend = await service.reservePoints(customer(1000), 1000, 'ORDER-PTS-2');
+    await service.releasePoints('ORDER-PTS-1');
+    const balanceReleased = await service.loyaltyLedger.getBalance('CUST-002');
+    await service.reservePoints(customer(1500), result.loyalty.redeemed_points, 'ORDER-PTS-3');
+    const committed = await service.commitPoints('ORDER-PTS-3');
+    const balanceCommitted = await service.loyaltyLedger.getBalance('CUST-002');
+    console.log(`Balance: reserved ${balanceReserved}, released ${balanceReleased}, committed ${balanceCommitted}`);
+    console.log(`Second order: ${overspend.errorCode}`);
+
+    // Returning an item gives back as points what the kept items no longer redeem
+    const pointsRefund = await service.calculateReturnRefund(result, [{ index: 0, quantity: 1 }]);
+    const keptPoints = pointsRefund.remaining.loyalty.redeemed_points;
+    console.log(`Return one of line 0: ₹${pointsRefund.refund_amount} to the payment method, ${pointsRefund.points_refunded} points (₹${pointsRefund.points_refund_value}); kept items redeem ${keptPoints}`);
+
+    const passed = result.final_price.equals(new Decimal(2970))
+      && result.loyalty.redeemed_points === 1188
+      && result.loyalty.redeemed_value.equals(new Decimal(594))
+      && result.getAmountPayable().equals(new Decimal(2376))
+      && result.loyalty.earned_points === 47
+      && tooFew.loyalty.redeemed_points === 0
+      && reserved.success && balanceReserved === 812
+      && repriced.loyalty.redeemed_points === 1188 && otherOrder.loyalty.redeemed_points === 812
+      && overspend.errorCode === 'INSUFFICIENT_POINTS'
+      && balanceReleased === 2000
+      && committed.success && balanceCommitted === 812
+      && pointsRefund.points_refunded > 0 && pointsRefund.points_refunded + keptPoints === 1188
+      && pointsRefund.refund_amount.equals(result.getAmountPayable().sub(pointsRefund.remaining.getAmountPayable()))
+      && pointsRefund.line_refunds[0].points_value.equals(pointsRefund.points_refund_value);
+
+    this.logResult('Loyalty Points', passed);
+  }
+
+  /**
+   * Test 23: Multiple Vouchers
+   */
+  async testMultipleVouchers() {
+    console.log('\n🎫 TEST 23: Multiple Vouchers');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        vouchers: {
+          SAVE10: { percentage: 10, combinable_with: ['*'] },
+          SAVE20: { percentage: 20 },
+          SHIP5: { percentage: 5, type: 'shipping', combinable_with: ['SAVE10'] },
+          BONUS5: { percentage: 5, type: 'bonus', combinable_with: ['*'], exclusive_with: ['SAVE10'] }
+        }
+      }
+    });
+    const customer = voucherCodes => new CustomerProfile({ ...sampleCustomerNoVoucher, voucherCodes });
+
+    // ₹2970 after brand and category: 10% then 5% of the ₹2673 left
+    const combined = await service.calculateCartDiscounts(sampleCartItems, customer(['SAVE10', 'SHIP5', 'NOPE']), null);
+    console.log(`Combined: ₹${combined.final_price}, rejected ${JSON.stringify(combined.rejected_vouchers)}`);
+
+    // SAVE20 gives more than SAVE10 and SHIP5 only combines with SAVE10
+    const conflict = await service.calculateCartDiscounts(sampleCartItems, customer(['SAVE10', 'SAVE20', 'SHIP5']), null);
+    console.log(`Conflict: ₹${conflict.final_price}, messages: ${conflict.message}`);
+
+    const exclusive = await service.calculateCartDiscounts(sampleCartItems, customer(['BONUS5', 'SAVE10']), null);
+    const rejectedCodes = result => result.rejected_vouchers.map(({ code, errorCode, winner }) => `${code}:${errorCode}:${winner}`);
+
+    const passed = combined.final_price.equals(new Decimal('2539.35'))
+      && 'Voucher_SAVE10' in combined.applied_discounts
+      && 'Voucher_SHIP5' in combined.applied_discounts
+      && rejectedCodes(combined).join() === 'NOPE:VOUCHER_NOT_FOUND:null'
+      && conflict.final_price.equals(new Decimal(2376))
+      && rejectedCodes(conflict).join() === 'SAVE10:VOUCHER_CONFLICT:SAVE20,SHIP5:VOUCHER_CONFLICT:SAVE20'
+      && conflict.rejected_vouchers[0].error.includes('larger discount')
+      && exclusive.final_price.equals(new Decimal(2673))
+      && rejectedCodes(exclusive).join() === 'BONUS5:VOUCHER_CONFLICT:SAVE10';
+
+    this.logResult('Multiple Vouchers', passed);
+  }
+
+  /**
+   * Test 24: Generated Voucher Codes
+   */
+  async testGeneratedVoucherCodes() {
+    console.log('\n🔑 TEST 24: Generated Voucher Codes');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        vouchers: {
+          CRM15: { percentage: 15, code_format: { prefix: 'CRM-', length: 8 } }
+        }
+      }
+    });
+
+    const entries = await service.generateVoucherCodes('CRM15', 500);
+    const codes = entries.map(entry => entry.code);
+    const csv = await service.exportVoucherCodes('CRM15');
+    console.log(`Generated ${codes.length} codes, e.g. ${codes.slice(0, 3).join(', ')}`);
+
+    const [code] = codes;
+    const typo = code.slice(0, 5) + (code[5] === 'A' ? 'B' : 'A') + code.slice(6);
+    const customer = voucherCode => new CustomerProfile({ ...sampleCustomerNoVoucher, voucherCode });
+    const validate = async voucherCode => (await service.validateDiscountCode(voucherCode, sampleCartItems, customer(voucherCode))).errorCode;
+
+    const priced = await service.calculateCartDiscounts(sampleCartItems, customer(code), null);
+    const beforeUse = await validate(code);
+    const typoError = await validate(typo);
+    const templateError = await validate('CRM15');
+    const neverIssued = await validate(`CRM-22222222${computeCheckCharacter('22222222', DEFAULT_CODE_FORMAT.alphabet)}`);
+    await service.reserveVoucher(code, sampleCartItems, customer(code), 'ORDER-CRM-1');
+    await service.commitVoucher('ORDER-CRM-1');
+    const afterUse = await validate(code);
+    console.log(`Errors: typo ${typoError}, template ${templateError}, unissued ${neverIssued}, reused ${afterUse}`);
+
+    const passed = new Set(codes).size === 500
+      && codes.every(generated => /^CRM-[2-9A-HJ-NP-Z]{9}$/.test(generated))
+      && csv.split('\n').length === 502 && csv.startsWith('code,campaign,created_at\n')
+      && priced.final_price.equals(new Decimal('2524.50'))
+      && beforeUse === null
+      && typoError === 'INVALID_CHECK_CHARACTER'
+      && templateError === 'GENERATED_CODE_REQUIRED'
+      && neverIssued === 'VOUCHER_NOT_FOUND'
+      && afterUse === 'VOUCHER_ALREADY_USED';
+
+    this.logResult('Generated Voucher Codes', passed);
+  }
+
+  /**
+   * Test 25: Currency & Rounding Policy
+   */
+  async testCurrencyAndRounding() {
+    console.log('\n💱 TEST 25: Currency & Rounding Policy');
+    console.log('-'.repeat(50));
+
+    const serviceWith = pricing => new DiscountService({
+      rules: {
+        pricing,
+        categories: { Socks: { percentage: 12 }, Caps: { percentage: 12.5 } },
+        vouchers: {
+          GLOBAL10: { percentage: 10, max_discount: { INR: 500, USD: 6 } },
+          INDIA5: { percentage: 5, max_discount: 100 },
+          YEN10: { percentage: 10, max_discount: { JPY: 100 } }
+        }
+      }
+    });
+    const item = (id, category, price, currency = null) => new CartItem({
+      product: new Product({ id, brand: 'NOBRAND', category, base_price: price, current_price: price, currency }),
+      quantity: 1
+    });
+    const socks = [item('S1', 'Socks', 99.99), item('S2', 'Socks', 99.99), item('S3', 'Socks', 99.99)];
+    const customer = voucherCode => new CustomerProfile({ ...sampleCustomerNoVoucher, voucherCode });
+
+    // 12% of ₹99.99 is ₹11.9988 per line
+    const perLineDown = await serviceWith({ rounding_mode: 'down', rounding_scope: 'line' })
+      .calculateCartDiscounts(socks, customer(null), null);
+    const perOrderDown = await serviceWith({ rounding_mode: 'down', rounding_scope: 'order' })
+      .calculateCartDiscounts(socks, customer(null), null);
+    console.log(`Per line: ₹${perLineDown.getTotalDiscount()}, per order: ₹${perOrderDown.getTotalDiscount()}`);
+
+    // 12.5% of ₹101 is ₹12.625
+    const halfUp = await serviceWith({}).calculateCartDiscounts([item('C1', 'Caps', 101)], customer(null), null);
+    const halfEven = await serviceWith({ rounding_mode: 'half_even' })
+      .calculateCartDiscounts([item('C1', 'Caps', 101)], customer(null), null);
+
+    // A USD cart gets the USD cap; INDIA5 has no USD amount so it does not exist there
+    const service = serviceWith({});
+    const usdCart = [item('U1', 'Jeans', 120, 'USD')];
+    const usd = await service.calculateCartDiscounts(usdCart, customer('GLOBAL10'), null);
+    const usdOnlyIndia = await service.validateDiscountCode('INDIA5', usdCart, customer('INDIA5'));
+    const inr = await service.calculateCartDiscounts([item('I1', 'Jeans', 12000)], customer('GLOBAL10'), null);
+    console.log(`USD: ${JSON.stringify(usd.getFormattedAmounts())}, INR: ${JSON.stringify(inr.getFormattedAmounts())}`);
+
+    // Yen has no minor unit: a ¥100 voucher on three ¥1000 lines splits ¥34/¥33/¥33, not ¥33.34/¥33.33/¥33.33
+    const yenLines = [item('Y1', 'Jeans', 1000, 'JPY'), item('Y2', 'Jeans', 1000, 'JPY'), item('Y3', 'Jeans', 1000, 'JPY')];
+    const yen = await serviceWith({ rounding_scope: 'line' }).calculateCartDiscounts(yenLines, customer('YEN10'), null);
+    const yenShares = yen.line_items.map(line => line.applied_discounts.Voucher_YEN10.toString()).join();
+    console.log(`JPY: Voucher_YEN10 ¥${yen.applied_discounts.Voucher_YEN10} split ${yenShares}`);
+
+    let mixedError = null;
+    try {
+      await service.calculateCartDiscounts([usdCart[0], item('I1', 'Jeans', 12000, 'INR')], customer(null), null);
+    } catch (error) {
+      mixedError = error.message;
+    }
+
+    const passed = perLineDown.getTotalDiscount().equals(new Decimal('35.97'))
+      && perOrderDown.getTotalDiscount().equals(new Decimal('35.99'))
+      && perOrderDown.line_items.map(line => line.final_price.toString()).join() === '87.99,87.99,88'
+      && halfUp.final_price.equals(new Decimal('88.37'))
+      && halfEven.final_price.equals(new Decimal('88.38'))
+      && usd.currency === 'USD' && usd.final_price.equals(new Decimal(114))
+      && usd.getFormattedAmounts().final_price === '$114'
+      && usdOnlyIndia.errorCode === 'VOUCHER_NOT_FOUND'
+      && inr.final_price.equals(new Decimal(11500))
+      && inr.getFormattedAmounts().total_discount === '₹500'
+      && yen.applied_discounts.Voucher_YEN10.equals(100) && yenShares === '34,33,33'
+      && mixedError?.includes('one currency');
+
+    this.logResult('Currency & Rounding Policy', passed);
+  }
+
+  /**
+   * Test 26: GST on Discounted Prices
+   */
+  async testGstCalculation() {
+    console.log('\n🧾 TEST 26: GST on Discounted Prices');
+    console.log('-'.repeat(50));
+
+    const serviceWith = bankOffers => new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        bank_offers: { ICICI: { percentage: 10, max_discount: 2000 } },
+        tax_rates: {
+          'T-shirts': { hsn_code: '6109', slabs: [{ max_unit_value: 1000, rate: 5 }, { rate: 12 }] }
+        },
+        tax: { bank_offers: bankOffers }
+      }
+    });
+
+    // ₹2160 of ₹1080 T-shirts at 12% and ₹810 at 5%: ₹299.70 GST on ₹2970
+    const noBank = await serviceWith('post_tax').calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, null);
+    // Post-tax: 10% of the ₹3269.70 payable, taxable value unchanged
+    const postTax = await serviceWith('post_tax').calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, samplePaymentInfo);
+    // Pre-tax: 10% of ₹2970 lowers the ₹1080 T-shirts to ₹972, into the 5% band
+    const preTax = await serviceWith('pre_tax').calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, samplePaymentInfo);
+    [['No bank offer', noBank], ['Post-tax bank offer', postTax], ['Pre-tax bank offer', preTax]].forEach(([name, result]) => {
+      console.log(`${name}: taxable ₹${result.tax.taxable_value}, GST ₹${result.tax.tax_amount}, grand total ₹${result.getGrandTotal()}`);
+    });
+
+    // Returning one ₹2000 T-shirt refunds its ₹1080 and the ₹129.60 GST paid on it
+    const taxedReturn = await serviceWith('post_tax').calculateReturnRefund(noBank, [{ index: 0, quantity: 1 }]);
+    const [taxedLine] = taxedReturn.line_refunds;
+    console.log(`Return 1 T-shirt: refund ₹${taxedReturn.refund_amount} (GST ₹${taxedLine.tax_amount}), remaining grand total ₹${taxedReturn.remaining.getGrandTotal()}`);
+
+    // Points burn and earn on the same GST-inclusive amount: paying it all in points earns nothing
+    const taxedLoyalty = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        tax_rates: { 'T-shirts': { hsn_code: '6109', slabs: [{ max_unit_value: 1000, rate: 5 }, { rate: 12 }] } },
+        loyalty_program: { point_value: 1, max_redeem_percentage: 100, earn_rate: 0.01 }
+      }
+    });
+    await taxedLoyalty.loyaltyLedger.credit('CUST-002', 5000, 'welcome-bonus');
+    const redeeming = redeemPoints => taxedLoyalty.calculateCartDiscounts(sampleCartItems,
+      new CustomerProfile({ ...sampleCustomerNoVoucher, redeemPoints }), null);
+    const [noPoints, somePoints, allPoints] = await Promise.all([redeeming(0), redeeming(1269), redeeming(5000)]);
+    console.log(`Points on ₹${noPoints.getGrandTotal()}: earn ${noPoints.loyalty.earned_points}; redeem 1269 → earn ${somePoints.loyalty.earned_points}; redeem all ${allPoints.loyalty.redeemed_points} → earn ${allPoints.loyalty.earned_points}`);
+
+    const lineTaxes = result => result.line_items.map(line => `${line.tax.rate}%:${line.tax.tax_amount}`).join();
+    const passed = noBank.tax.tax_amount.equals(new Decimal('299.7'))
+      && noBank.getGrandTotal().equals(new Decimal('3269.7'))
+      && lineTaxes(noBank) === '12%:259.2,5%:40.5'
+      && noBank.line_items[0].tax.hsn_code === '6109'
+      && postTax.applied_discounts.Bank_ICICI.equals(new Decimal('326.97'))
+      && postTax.tax.taxable_value.equals(new Decimal(2970))
+      && postTax.getGrandTotal().equals(new Decimal('2942.73'))
+      && postTax.getAmountPayable().equals(new Decimal('2942.73'))
+      && preTax.tax.taxable_value.equals(new Decimal(2673))
+      && lineTaxes(preTax) === '5%:97.2,5%:36.45'
+      && preTax.getGrandTotal().equals(new Decimal('2806.65'))
+      && taxedReturn.refund_amount.equals(new Decimal('1209.6'))
+      && taxedLine.tax_amount.equals(new Decimal('129.6')) && taxedLine.clawback.isZero()
+      && taxedReturn.refund_amount.add(taxedReturn.remaining.getGrandTotal()).equals(noBank.getGrandTotal())
+      && noPoints.loyalty.earned_points === 32 && somePoints.loyalty.earned_points === 20
+      && allPoints.loyalty.redeemed_points === 3269 && allPoints.loyalty.earned_points === 0;
+
+    this.logResult('GST Calculation', passed);
+  }
+
+  /**
+   * Test 27: Calculation Trace
+   */
+  async testCalculationTrace() {
+    console.log('\n🔍 TEST 27: Calculation Trace');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        bxgy_promotions: { B3G1: { buy_quantity: 3, get_quantity: 1, brands: ['PUMA'] } },
+        membership_discounts: { GOLD5: { percentage: 5, tiers: ['gold'] } },
+        cart_promotions: { BIG300: { slabs: [{ min_order_value: 5000, flat_amount: 300 }] } },
+        vouchers: { SUPER69: { percentage: 69, max_discount: 500 } },
+        bank_offers: { ICICI: { percentage: 10, max_discount: 2000 } },
+        stacking_policy: { max_total_discount: 3100 }
+      }
+    });
+    const customer = new CustomerProfile({ ...sampleCustomerNoVoucher, tier: 'silver', voucherCodes: ['SUPER69', 'NOPE'] });
+
+    const result = await service.calculateCartDiscounts(sampleCartItems, customer, samplePaymentInfo, { trace: true });
+    const untraced = await service.calculateCartDiscounts(sampleCartItems, customer, samplePaymentInfo);
+    const { steps } = result.trace;
+    steps.forEach(step => {
+      const outcome = step.matched ? `applied ₹${step.applied}` : 'rejected';
+      console.log(`[${step.stage}] ${step.rule}: ${outcome}, total ₹${step.running_total}${step.reason ? ` (${step.reason})` : ''}`);
+    });
+
+    const find = rule => steps.find(step => step.rule === rule);
+    const voucher = find('SUPER69');
+    const bank = find('ICICI');
+    const serialized = JSON.parse(JSON.stringify(result.trace));
+
+    const passed = result.final_price.equals(new Decimal(2400))
+      && untraced.trace === null && untraced.final_price.equals(result.final_price)
+      && find('PUMA').line === 0 && find('PUMA').applied.equals(new Decimal(1600))
+      && voucher.base_amount.equals(new Decimal(2970)) && voucher.discount.equals(new Decimal(500))
+      && voucher.cap.type === 'max_discount' && voucher.running_total.equals(new Decimal(2470))
+      && bank.discount.equals(new Decimal(247)) && bank.applied.equals(new Decimal(70))
+      && bank.cap.type === 'total_discount_cap' && bank.running_total.equals(new Decimal(2400))
+      && !find('NOPE').matched && find('NOPE').reason.startsWith('VOUCHER_NOT_FOUND')
+      && find('GOLD5').reason === 'Customer does not meet: tier gold'
+      && find('B3G1').stage === 'bxgy' && !find('B3G1').matched
+      && find('BIG300').reason === 'Add ₹2,030 more to get ₹300 off'
+      && serialized.steps.length === steps.length && serialized.final_price === '2400'
+      && serialized.steps.find(step => step.rule === 'SUPER69').cap.limit === '500';
+
+    this.logResult('Calculation Trace', passed);
+  }
+
+  /**
+   * Test 28: Localized Shopper Messages
+   */
+  async testLocalizedMessages() {
+    console.log('\n🌐 TEST 28: Localized Shopper Messages');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 }, 'PUMA KIDS': { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } },
+        vouchers: { SUPER69: { percentage: 69, max_discount: 500, min_order_value: 10000 } }
+      }
+    });
+    const kidsTee = new CartItem({
+      product: new Product({ id: 'PUMA-KIDS-001', brand: 'PUMA KIDS', category: 'T-shirts', base_price: 1000, current_price: 1000 }),
+      quantity: 1
+    });
+    const cart = [...sampleCartItems, kidsTee];
+
+    const english = await service.calculateCartDiscounts(cart, sampleCustomerNoVoucher, null);
+    const hindi = await service.calculateCartDiscounts(cart, sampleCustomerNoVoucher, null, { locale: 'hi-IN' });
+    const tamil = await service.validateDiscountCode('SUPER69', cart, sampleCustomerNoVoucher, { locale: 'ta-IN' });
+    console.log(`English: ${english.message}`);
+    console.log(`Hindi: ${hindi.message}`);
+    console.log(`Tamil: ${tamil.error}`);
+
+    // A language without a catalog falls back to English, formatted for its locale
+    const german = formatMessage('nudge.cart_slab', { amount: 2030, reward: { id: 'reward.percentage', params: { percentage: 10 } } },
+      { locale: 'de-DE', currency: 'EUR' });
+    console.log(`German: ${german}`);
+
+    let localeError = null;
+    try {
+      await service.calculateCartDiscounts(cart, sampleCustomerNoVoucher, null, { locale: 'not a locale' });
+    } catch (error) {
+      localeError = error.message;
+    }
+
+    const passed = english.message === '40% off on PUMA | 10% off on T-shirts | 40% off on PUMA KIDS'
+      && english.messages.map(message => message.id).join() === 'discount.brand,discount.category,discount.brand'
+      && english.messages[2].params.brand === 'PUMA KIDS'
+      && hindi.message === 'PUMA पर 40% की छूट | T-shirts पर 10% की छूट | PUMA KIDS पर 40% की छूट'
+      && hindi.locale === 'hi-IN' && hindi.final_price.equals(english.final_price)
+      && tamil.errorCode === 'MIN_ORDER_NOT_MET'
+      && tamil.error === 'குறைந்தபட்ச ஆர்டர் மதிப்பு ₹10,000 தேவை. தற்போதைய கார்ட் மொத்தம்: ₹6,500'
+      && /^Add 2\.030\s€ more to get 10\s%\soff$/.test(german)
+      && localeError?.includes('Invalid locale');
+
+    this.logResult('Localized Messages', passed);
+  }
+
+  /**
+   * Test 29: Typed Errors and Diagnostics
+   */
+  async testTypedErrors() {
+    console.log('\n🚨 TEST 29: Typed Errors and Diagnostics');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        vouchers: { SUPER69: { percentage: 69, max_discount: 500, min_order_value: 10000 } }
+      }
+    });
+    const capture = async action => {
+      try {
+        await action();
+        return null;
+      } catch (error) {
+        return error;
+      }
+    };
+
+    // The offending line is reported by index instead of only in the message
+    const badLine = await capture(() => service.calculateCartDiscounts(
+      [sampleCartItems[0], new CartItem({ product: null, quantity: 1 })], sampleCustomerNoVoucher));
+    console.log(`Bad line → ${badLine.name} ${badLine.code} ${badLine.statusCode} index=${badLine.details.index}`);
+
+    const usdShirt = new CartItem({
+      product: new Product({ id: 'PUMA-US-001', brand: 'PUMA', category: 'T-shirts', base_price: 25, current_price: 25, currency: 'USD' }),
+      quantity: 1
+    });
+    const inrShirt = new CartItem({ product: new Product({ ...sampleCartItems[0].product, currency: 'INR' }), quantity: 1 });
+    const mixed = await capture(() => service.calculateCartDiscounts([inrShirt, usdShirt], sampleCustomerNoVoucher));
+    console.log(`Mixed currency → ${mixed.code} index=${mixed.details.index} (${mixed.details.currency})`);
+
+    // Unexpected failures are wrapped, keeping the original error as the cause
+    const broken = new DiscountService({ rules: { brands: { PUMA: { percentage: 40 } } } });
+    broken.applyBankOffer = () => { throw new TypeError('bank offer lookup failed'); };
+    const failed = await capture(() => broken.calculateCartDiscounts(sampleCartItems, sampleCustomerNoVoucher, samplePaymentInfo));
+    console.log(`Pricing failure → ${failed.code} ${failed.statusCode} (cause: ${failed.cause?.message})`);
+
+    const missingCampaign = await capture(() => service.generateVoucherCodes('NOPE', 10));
+    console.log(`Unknown campaign → ${missingCampaign.code} ${missingCampaign.statusCode}`);
+
+    // A voucher that does not apply is a returned diagnostic, not a log line
+    const priced = await service.calculateCartDiscounts(sampleCartItems, sampleCustomer);
+    const [diagnostic] = priced.diagnostics;
+    console.log(`Diagnostics: ${JSON.stringify(priced.diagnostics.map(({ severity, code, details }) => ({ severity, code, details })))}`);
+
+    const passed = badLine instanceof ValidationError && badLine instanceof DiscountError
+      && badLine.code === 'INVALID_CART_ITEM' && badLine.statusCode === 400 && badLine.details.index === 1
+      && mixed instanceof ValidationError && mixed.code === 'MIXED_CURRENCY'
+      && mixed.details.index === 1 && mixed.details.currency === 'USD' && mixed.details.expected === 'INR'
+      && failed instanceof PricingError && failed.code === 'PRICING_FAILED' && failed.statusCode === 500
+      && failed.cause instanceof TypeError
+      && missingCampaign instanceof NotFoundError && missingCampaign.code === 'VOUCHER_NOT_FOUND'
+      && missingCampaign.statusCode === 404
+      && priced.diagnostics.length === 1 && diagnostic.severity === 'warning'
+      && diagnostic.code === 'MIN_ORDER_NOT_MET' && diagnostic.details.voucher_code === 'SUPER69'
+      && diagnostic.message === priced.rejected_vouchers[0].error
+      && JSON.stringify(mixed) === JSON.stringify({ code: 'MIXED_CURRENCY', message: mixed.message, details: mixed.details });
+
+    this.logResult('Typed Errors', passed);
+  }
+
+  /**
+   * Test 30: Promotion Admin & Ruleset Versions
+   */
+  async testRulesetVersioning() {
+    console.log('\n🗃️ TEST 30: Promotion Admin & Ruleset Versions');
+    console.log('-'.repeat(50));
+
+    const service = new DiscountService({
+      rules: {
+        brands: { PUMA: { percentage: 40 } },
+        categories: { 'T-shirts': { percentage: 10 } }
+      }
+    });
+    const registry = service.registry;
+    const price = (options = {}) => service.calculateCartDiscounts(sampleCartItems, { ...sampleCustomerNoVoucher, voucherCode: 'NEW10' }, null, options);
+    const rejectedChange = async change => {
+      try {
+        await change();
+        return null;
+      } catch (error) {
+        return error;
+      }
+    };
+
+    await registry.createRule('vouchers', 'NEW10', { percentage: 10, max_discount: 300 }, 'priya');
+    const withVoucher = await price();
+    console.log(`v${registry.currentVersion}: created NEW10 → ${Object.keys(withVoucher.applied_discounts).join(', ')}`);
+
+    const badPercentage = await rejectedChange(() => registry.updateRule('vouchers', 'NEW10', { percentage: 140 }, 'priya'));
+    const badCap = await rejectedChange(() => registry.updateRule('vouchers', 'NEW10', { max_discount: 0 }, 'priya'));
+    const badDates = await rejectedChange(() => registry.updateRule('vouchers', 'NEW10', {
+      valid_from: '2025-12-31', valid_until: '2025-01-01'
+    }, 'priya'));
+    const noAuthor = await rejectedChange(() => registry.deleteRule('vouchers', 'NEW10'));
+    console.log(`Rejected: ${[badPercentage, badCap, badDates, noAuthor].map(error => error.code).join(', ')} (still v${registry.currentVersion})`);
+
+    await registry.disableRule('brands', 'PUMA', 'arjun');
+    const keptDisabled = registry.listRules('brands').PUMA.enabled === false;
+    const disabled = await price();
+    const pinned = await price({ rulesetVersion: 2 });
+    console.log(`v${registry.currentVersion}: disabled PUMA → final ₹${disabled.final_price}; priced at v2 → ₹${pinned.final_price}`);
+
+    await registry.rollback(2, 'arjun');
+    const rolledBack = await price();
+    const versions = registry.listVersions();
+    console.log(`v${registry.currentVersion}: rolled back to v2 → final ₹${rolledBack.final_price}`);
+    versions.forEach(({ version, author, change }) => console.log(`  v${version} ${change.action} ${change.key ?? ''} by ${author}`));
+
+    let frozen = false;
+    try {
+      registry.getVersion(2).document.brands.PUMA.percentage = 90;
+    } catch (error) {
+      frozen = error instanceof TypeError;
+    }
+
+    const reservedKey = await rejectedChange(() => registry.createRule('vouchers', '__proto__', { percentage: 100 }, 'priya'));
+
+    const server = createAdminServer(service, { authenticate: createTokenAuthenticator({ 'meera-token': 'meera' }) });
+    const storefront = createServer(service);
+    await Promise.all([server, storefront].map(listener => new Promise(resolve => listener.listen(0, '127.0.0.1', resolve))));
+    const urlOf = listener => `http://127.0.0.1:${listener.address().port}`;
+    const send = (method, path, body, token = 'meera-token', listener = server) => fetch(`${urlOf(listener)}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body && JSON.stringify(body)
+    });
+
+    try {
+      const free = { rule: { percentage: 100 }, author: 'anyone' };
+      const anonymous = await send('POST', '/admin/rules/vouchers/FREE100', free, null);
+      const wrongToken = await send('POST', '/admin/rules/vouchers/FREE100', free, 'guess');
+      const onStorefront = await send('POST', '/admin/rules/vouchers/FREE100', free, 'meera-token', storefront);
+      console.log(`Admin without token → ${anonymous.status}, wrong token → ${wrongToken.status}, on storefront → ${onStorefront.status}`);
+
+      const created = await send('POST', '/admin/rules/bank_offers/AXIS', { rule: { percentage: 5 }, author: 'anyone' });
+      const createdBody = await created.json();
+      const invalid = await send('PATCH', '/admin/rules/bank_offers/AXIS', { changes: { percentage: -5 }, author: 'meera' });
+      const invalidBody = await invalid.json();
+      const unknownType = await send('GET', '/admin/rules/coupons');
+      const history = await (await send('GET', '/admin/rulesets')).json();
+      console.log(`HTTP: create → ${created.status} v${createdBody.version.version}, bad percentage → ${invalid.status} ${invalidBody.error.code}, unknown type → ${unknownType.status}`);
+
+      const passed = withVoucher.applied_discounts.Voucher_NEW10 !== undefined && withVoucher.ruleset_version === 2
+        && badPercentage?.code === 'INVALID_RULES' && badPercentage.statusCode === 422
+        && badCap?.errors[0].includes('max_discount') && badDates?.errors[0].includes('valid_from')
+        && noAuthor?.code === 'AUTHOR_REQUIRED' && reservedKey?.code === 'INVALID_RULE_KEY'
+        && disabled.applied_discounts.Brand_PUMA === undefined && disabled.ruleset_version === 3
+        && keptDisabled
+        && pinned.applied_discounts.Brand_PUMA !== undefined && pinned.ruleset_version === 2
+        && rolledBack.final_price.equals(pinned.final_price) && rolledBack.ruleset_version === 4
+        && versions.map(({ change }) => change.action).join() === 'initial,create,disable,rollback'
+        && versions[3].change.from_version === 2 && versions[3].author === 'arjun'
+        && versions.every(({ created_at }) => created_at instanceof Date)
+        && frozen && registry.getVersion(2).document.brands.PUMA.percentage === 40
+        && created.status === 201 && createdBody.version.version === 5 && createdBody.rule.percentage === 5
+        && createdBody.version.author === 'meera'
+        && invalid.status === 422 && invalidBody.error.code === 'INVALID_RULES'
+        && unknownType.status === 400 && history.current_version === 5 && history.versions.length === 5
+        && anonymous.status === 401 && (await anonymous.json()).error.code === 'UNAUTHENTICATED'
+        && wrongToken.status === 401 && onStorefront.status === 404
+        && !Object.hasOwn(registry.listRules('vouchers'), 'FREE100');
+
+      this.logResult('Ruleset Versioning', passed);
+    } finally {
+      await Promise.all([server, storefront].map(listener => new Promise(resolve => listener.close(resolve))));
+    }
+  }
+
+  /**
+   * Test 31: File-backed Persistence
+   */
+  async testFilePersistence() {
+    console.log('\n💾 TEST 31: File-backed Persistence');
+    console.log('-'.repeat(50));
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'discount-data-'));
+    const rules = {
+      brands: { PUMA: { percentage: 40 } },
+      categories: { 'T-shirts': { percentage: 10 } },
+      vouchers: { CRM15: { percentage: 15, code_format: { prefix: 'CRM-', length: 8 } } }
+    };
+
+    try {
+      const first = new DiscountService({ rules, repository: new FileRepository(directory) });
+      await first.registry.createRule('vouchers', 'ONCE50', { percentage: 50, usage_limit: 1 }, 'priya');
+      // Quoted before ORDER-1 uses up ONCE50; the saved quote keeps the voucher it was priced with
+      const onceCustomer = { ...sampleCustomer, voucherCode: 'ONCE50' };
+      const quoted = await first.calculateCartDiscounts(sampleCartItems, onceCustomer, null, { saveQuote: true });
+      const returned = [{ index: 0, quantity: 1 }];
+      const refundBefore = await first.calculateReturnRefund(quoted, returned);
+      await first.reserveVoucher('ONCE50', sampleCartItems, sampleCustomer, 'ORDER-1');
+      await first.commitVoucher('ORDER-1');
+      await first.loyaltyLedger.credit('CUST-002', 750, 'welcome-bonus');
+      const [generated] = await first.generateVoucherCodes('CRM15', 5);
+      console.log(`Wrote: ${fs.readdirSync(directory).sort().join(', ')}`);
+
+      // A restarted service on the same directory ignores `rules` and carries on from the stored versions
+      const restarted = new DiscountService({ rules: {}, repository: new FileRepository(directory) });
+      const versions = restarted.registry.listVersions();
+      const reused = await restarted.validateDiscountCode('ONCE50', sampleCartItems, sampleCustomerNoVoucher);
+      const balance = await restarted.loyaltyLedger.getBalance('CUST-002');
+      const codeCheck = await restarted.validateDiscountCode(generated.code, sampleCartItems, sampleCustomerNoVoucher);
+      console.log(`After restart: v${restarted.registry.currentVersion}, ONCE50 → ${reused.errorCode}, points ${balance}, generated code ${codeCheck.isValid ? 'VALID' : codeCheck.errorCode}`);
+
+      const requote = await restarted.getQuote(quoted.quote_id);
+      const server = createServer(restarted);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      let refundResponse;
+      let missingQuote;
+      let stringIndex;
+      try {
+        const quoteUrl = `http://127.0.0.1:${server.address().port}/quotes`;
+        const refund = (id, returnedLines = returned) => fetch(`${quoteUrl}/${id}/refund`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ returned_lines: returnedLines })
+        });
+        refundResponse = await (await refund(quoted.quote_id)).json();
+        missingQuote = await refund('no-such-quote');
+        stringIndex = await refund(quoted.quote_id, [{ index: '0', quantity: 1 }]);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+      console.log(`Quote ${quoted.quote_id.slice(0, 8)}…: ₹${requote.final_price} (was ₹${quoted.final_price}), refund over HTTP ₹${refundResponse.refund_amount} (in process ₹${refundBefore.refund_amount})`);
+
+      fs.writeFileSync(path.join(directory, 'points.jsonl'), '{"id":\n');
+      let corrupt = null;
+      try {
+        new FileRepository(directory);
+      } catch (error) {
+        corrupt = error;
+      }
+      console.log(`Damaged file: ${corrupt?.code} (line ${corrupt?.details.line})`);
+
+      // Saves append to the log, so the cost of a save does not grow with the number of quotes kept
+      const quoteFile = path.join(directory, 'many', 'quotes.jsonl');
+      const quotes = new FileQuoteStore(quoteFile);
+      const savedQuote = await first.repository.quotes.get(quoted.quote_id);
+      const batchMs = [];
+      let rewritten = false;
+      for (let batch = 0; batch < 3; batch++) {
+        const started = performance.now();
+        for (let i = 0; i < 500; i++) {
+          const inode = fs.existsSync(quoteFile) ? fs.statSync(quoteFile).ino : null;
+          await quotes.save({ ...savedQuote, id: `Q-${batch}-${i}` });
+          rewritten ||= inode !== null && fs.statSync(quoteFile).ino !== inode;
+        }
+        batchMs.push((performance.now() - started) / 500);
+      }
+      fs.appendFileSync(quoteFile, '{"id":"Q-unfinished","cart_');
+      const reloadedQuotes = new FileQuoteStore(quoteFile);
+      console.log(`1500 quotes: ${batchMs.map(ms => ms.toFixed(2)).join(' / ')} ms per save, ${reloadedQuotes.quotes.size} read back after an interrupted append`);
+
+      // Removals are logged too; a log mostly of removed entries is compacted
+      const pointsFile = path.join(directory, 'many', 'points.jsonl');
+      const pointsStore = new FilePointsStore(pointsFile);
+      for (let i = 0; i < 600; i++) {
+        await pointsStore.save({ id: `P-${i}`, customer_id: 'CUST-002', points: 10 });
+        await pointsStore.remove({ id: `P-${i}` });
+      }
+      await pointsStore.save({ id: 'P-kept', customer_id: 'CUST-002', points: 10 });
+      const pointsLines = fs.readFileSync(pointsFile, 'utf8').trim().split('\n').length;
+      const reloadedPoints = new FilePointsStore(pointsFile);
+      console.log(`600 entries saved and removed: ${pointsLines} line(s) on disk, ${reloadedPoints.entries.size} entry read back`);
+
+      const passed = restarted.registry.currentVersion === 2
+        && versions.map(({ change }) => change.action).join() === 'initial,create' && versions[1].author === 'priya'
+        && versions.every(({ created_at }) => created_at instanceof Date)
+        && Object.isFrozen(restarted.registry.getVersion(1).document.brands.PUMA)
+        && restarted.brandDiscounts.has('PUMA')
+        && reused.errorCode === 'USAGE_LIMIT_REACHED'
+        && balance === 750
+        && codeCheck.isValid
+        && quoted.applied_discounts.Voucher_ONCE50 !== undefined && quoted.ruleset_version === 2
+        && requote.final_price.equals(quoted.final_price)
+        && requote.pricing_context.calculated_at.getTime() === quoted.pricing_context.calculated_at.getTime()
+        && refundResponse.refund_amount === refundBefore.refund_amount.toString()
+        && missingQuote.status === 404 && (await missingQuote.json()).error.code === 'QUOTE_NOT_FOUND'
+        && stringIndex.status === 400 && (await stringIndex.json()).error.code === 'INVALID_RETURN'
+        && !fs.readdirSync(directory).some(file => file.endsWith('.tmp'))
+        && corrupt?.code === 'STORAGE_CORRUPT' && corrupt.details.line === 1
+        && !rewritten && batchMs[2] < batchMs[0] * 3 + 1
+        && reloadedQuotes.quotes.size === 1500 && (await reloadedQuotes.get('Q-2-499')).customer.id === sampleCustomer.id
+        && fs.readFileSync(quoteFile, 'utf8').endsWith('}\n')
+        && pointsLines < 1000 && reloadedPoints.entries.size === 1 && reloadedPoints.entries.has('P-kept');
+
+      this.logResult('File-backed Persistence', passed);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
   /**
    * Log test result
    */
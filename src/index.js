@@ -117,6 +117,11 @@ function displayResult(scenarioName, result) {
     console.log(`  • ${name.replace('_', ' ')}: ₹${amount.toFixed(2)}`);
   });
   
+  console.log('\nLine Items:');
+  result.line_items.forEach(line => {
+    console.log(`  • ${line.product_id} x ${line.quantity}: ₹${line.original_price.toFixed(2)} → ₹${line.final_price.toFixed(2)}`);
+  });
+  
   if (result.message) {
     console.log(`\nMessage: ${result.message}`);
   }
@@ -0,0 +1,95 @@
+/**
+ * English shopper-facing messages, keyed by message ID.
+ * Placeholders are {name} or {name, format}; see utils/messages.js for the formats.
+ */
+export const MESSAGES = {
+  // Applied discounts
+  'discount.markdown': '{percentage, percent} off on {brand} (sale price)',
+  'discount.brand': '{percentage, percent} off on {brand}',
+  'discount.category': '{percentage, percent} off on {category}',
+  'discount.bxgy_free': 'Buy {buy} Get {get} Free ({promotion})',
+  'discount.bxgy_percentage': 'Buy {buy} Get {get} at {percentage, percent} off ({promotion})',
+  'discount.membership': 'Extra {percentage, percent} off for {segment}',
+  'discount.membership_scoped': 'Extra {percentage, percent} off for {segment} on {scope, list}',
+  'discount.cart_slab': '{reward} on orders above {min_order_value, money}',
+  'discount.voucher': '{percentage, percent} off with {code}',
+  'discount.voucher_eligible_items': '{percentage, percent} off with {code} on eligible items',
+  'discount.bank': '{percentage, percent} instant discount on {bank} {card}',
+  'discount.bank_emi': '{percentage, percent} instant discount on {bank} {card} EMI ({months}+ months)',
+
+  // Message fragments
+  'segment.premium': 'premium members',
+  'segment.tiers': '{tiers, or} tier customers',
+  'segment.eligible': 'eligible customers',
+  'reward.flat': '{amount, money} off',
+  'reward.percentage': '{percentage, percent} off',
+  'card.any': 'card',
+  'card.types': '{card_types, or} card',
+  'instrument.wallet': 'wallet',
+  'instrument.provider_wallet': '{provider} wallet',
+  'instrument.account': '{method} account',
+  'instrument.provider_account': '{provider} {method} account',
+  'schedule.not_started': 'starts on {date, date}',
+  'schedule.ended': 'ended on {date, date}',
+  'schedule.outside_days': 'only active on {days, weekdays}',
+  'schedule.outside_hours': 'only active {start}-{end} ({timezone})',
+  'missing.tiers': 'tier {tiers, or}',
+  'missing.premium': 'premium membership',
+  'missing.attribute': '{attribute} {values, or}',
+  'item.product_excluded': 'product {value} is excluded',
+  'item.product_not_eligible': 'product {value} is not eligible',
+  'item.brand_excluded': 'brand {value} is excluded',
+  'item.brand_not_eligible': 'brand {value} is not eligible',
+  'item.category_excluded': 'category {value} is excluded',
+  'item.category_not_eligible': 'category {value} is not eligible',
+
+  // Nudges and hints
+  'nudge.cart_slab': 'Add {amount, money} more to get {reward}',
+  'membership.unlock': 'Unlock by upgrading ({requires, list}): {discount}',
+
+  // Cashback and loyalty
+  'cashback.credit': '{amount, money} cashback to your {instrument}',
+  'cashback.credit_within': '{amount, money} cashback to your {instrument} within {hours}h',
+  'cashback.no_offer': 'No cashback offer for {method} payments',
+  'cashback.not_active': 'Cashback offer {offer} is {schedule}',
+  'cashback.providers': 'Cashback offer {offer} is only valid with {providers, or}',
+  'cashback.min_transaction': 'Minimum transaction of {min, money} required for cashback offer {offer}. Current amount: {amount, money}',
+  'loyalty.not_enabled': 'Loyalty points cannot be redeemed',
+  'loyalty.min_points': 'A minimum of {points, number} points is needed to redeem',
+  'loyalty.redeemed': 'Redeemed {points, number} points for {amount, money}',
+  'loyalty.redeemed_partial': 'Redeemed {points, number} points for {amount, money} ({requested, number} requested)',
+  'loyalty.earned': 'Earn {points, number} points on this order',
+
+  // Bank offers
+  'bank.not_applied': 'Bank offer not applied: {reason}',
+  'bank.no_offer': 'No bank offer for {bank}',
+  'bank.not_active': '{bank} bank offer is {schedule}',
+  'bank.card_only': '{bank} bank offer is only valid on card payments',
+  'bank.card_types': '{bank} bank offer is only valid on {card_types, or} cards',
+  'bank.card_networks': '{bank} bank offer is only valid on {card_networks, or} cards',
+  'bank.bin': 'Card BIN is not eligible for the {bank} bank offer',
+  'bank.emi': '{bank} bank offer is only valid on EMI of {months} months or more',
+  'bank.min_transaction': 'Minimum transaction of {min, money} required for the {bank} bank offer. Current amount: {amount, money}',
+
+  // Vouchers
+  'voucher.not_applied': 'Voucher {code} could not be applied',
+  'voucher.conflict_not_applied': 'Voucher {code} not applied: {reason}',
+  'voucher.conflict_same_type': "only one '{type}' voucher can be used per order",
+  'voucher.conflict_exclusive': '{code} and {other} are mutually exclusive',
+  'voucher.conflict_not_combinable': '{code} cannot be combined with {other}',
+  'voucher.conflict_kept_larger': '{reason}. {winner} was kept because it gives the larger discount ({winner_discount, money} vs {discount, money})',
+  'voucher.conflict_kept_first': '{reason}. {winner} was kept because it gives the same discount and was entered first',
+  'voucher.not_found': "Voucher code '{code}' not found",
+  'voucher.generated_required': "Voucher code '{code}' is a campaign; use one of its generated codes",
+  'voucher.invalid_check_character': "Voucher code '{code}' is not valid, please check it for typos",
+  'voucher.not_started': "Voucher code '{code}' is not active until {date, date}",
+  'voucher.expired': "Voucher code '{code}' has expired on {date, date}",
+  'voucher.outside_window': "Voucher code '{code}' is {schedule}",
+  'voucher.tier': "Voucher code '{code}' is only available to {tiers, or} customers",
+  'voucher.no_eligible_items': "Voucher code '{code}' does not apply to any item in the cart: {reason}",
+  'voucher.min_order': 'Minimum order value of {min, money} required. Current cart total: {amount, money}',
+  'voucher.usage_limit': "Voucher code '{code}' has reached its usage limit of {limit, number}",
+  'voucher.usage_limit_per_customer': "Voucher code '{code}' can only be used {limit, number} time(s) per customer",
+  'voucher.already_used': "Voucher code '{code}' has already been used",
+  'voucher.system_error': 'System error while validating voucher: {error}'
+};
@@ -0,0 +1,94 @@
+/**
+ * Hindi shopper-facing messages, keyed by message ID (see en.js)
+ */
+export const MESSAGES = {
+  // Applied discounts
+  'discount.markdown': '{brand} पर {percentage, percent} की छूट (सेल प्राइस)',
+  'discount.brand': '{brand} पर {percentage, percent} की छूट',
+  'discount.category': '{category} पर {percentage, percent} की छूट',
+  'discount.bxgy_free': '{buy} खरीदें, {get} मुफ़्त पाएं ({promotion})',
+  'discount.bxgy_percentage': '{buy} खरीदें, {get} पर {percentage, percent} की छूट पाएं ({promotion})',
+  'discount.membership': '{segment} के लिए {percentage, percent} की अतिरिक्त छूट',
+  'discount.membership_scoped': '{segment} के लिए {scope, list} पर {percentage, percent} की अतिरिक्त छूट',
+  'discount.cart_slab': '{min_order_value, money} से अधिक के ऑर्डर पर {reward}',
+  'discount.voucher': '{code} से {percentage, percent} की छूट',
+  'discount.voucher_eligible_items': '{code} से योग्य वस्तुओं पर {percentage, percent} की छूट',
+  'discount.bank': '{bank} {card} पर {percentage, percent} की तुरंत छूट',
+  'discount.bank_emi': '{bank} {card} EMI ({months}+ महीने) पर {percentage, percent} की तुरंत छूट',
+
+  // Message fragments
+  'segment.premium': 'प्रीमियम सदस्यों',
+  'segment.tiers': '{tiers, or} टियर ग्राहकों',
+  'segment.eligible': 'योग्य ग्राहकों',
+  'reward.flat': '{amount, money} की छूट',
+  'reward.percentage': '{percentage, percent} की छूट',
+  'card.any': 'कार्ड',
+  'card.types': '{card_types, or} कार्ड',
+  'instrument.wallet': 'वॉलेट',
+  'instrument.provider_wallet': '{provider} वॉलेट',
+  'instrument.account': '{method} खाते',
+  'instrument.provider_account': '{provider} {method} खाते',
+  'schedule.not_started': '{date, date} से शुरू होगा',
+  'schedule.ended': '{date, date} को समाप्त हो गया',
+  'schedule.outside_days': 'केवल {days, weekdays} को मान्य है',
+  'schedule.outside_hours': 'केवल {start}-{end} ({timezone}) के बीच मान्य है',
+  'missing.tiers': 'टियर {tiers, or}',
+  'missing.premium': 'प्रीमियम सदस्यता',
+  'missing.attribute': '{attribute} {values, or}',
+  'item.product_excluded': 'उत्पाद {value} शामिल नहीं है',
+  'item.product_not_eligible': 'उत्पाद {value} योग्य नहीं है',
+  'item.brand_excluded': 'ब्रांड {value} शामिल नहीं है',
+  'item.brand_not_eligible': 'ब्रांड {value} योग्य नहीं है',
+  'item.category_excluded': 'श्रेणी {value} शामिल नहीं है',
+  'item.category_not_eligible': 'श्रेणी {value} योग्य नहीं है',
+
+  // Nudges and hints
+  'nudge.cart_slab': '{reward} पाने के लिए {amount, money} और जोड़ें',
+  'membership.unlock': 'अपग्रेड करके पाएं ({requires, list}): {discount}',
+
+  // Cashback and loyalty
+  'cashback.credit': 'आपके {instrument} में {amount, money} कैशबैक',
+  'cashback.credit_within': '{hours} घंटे के भीतर आपके {instrument} में {amount, money} कैशबैक',
+  'cashback.no_offer': '{method} भुगतान पर कोई कैशबैक ऑफ़र नहीं है',
+  'cashback.not_active': 'कैशबैक ऑफ़र {offer} {schedule}',
+  'cashback.providers': 'कैशबैक ऑफ़र {offer} केवल {providers, or} के साथ मान्य है',
+  'cashback.min_transaction': 'कैशबैक ऑफ़र {offer} के लिए कम से कम {min, money} का लेनदेन ज़रूरी है। मौजूदा राशि: {amount, money}',
+  'loyalty.not_enabled': 'लॉयल्टी पॉइंट्स रिडीम नहीं किए जा सकते',
+  'loyalty.min_points': 'रिडीम करने के लिए कम से कम {points, number} पॉइंट्स ज़रूरी हैं',
+  'loyalty.redeemed': '{points, number} पॉइंट्स {amount, money} में रिडीम किए गए',
+  'loyalty.redeemed_partial': '{points, number} पॉइंट्स {amount, money} में रिडीम किए गए ({requested, number} का अनुरोध था)',
+  'loyalty.earned': 'इस ऑर्डर पर {points, number} पॉइंट्स कमाएं',
+
+  // Bank offers
+  'bank.not_applied': 'बैंक ऑफ़र लागू नहीं हुआ: {reason}',
+  'bank.no_offer': '{bank} के लिए कोई बैंक ऑफ़र नहीं है',
+  'bank.not_active': '{bank} बैंक ऑफ़र {schedule}',
+  'bank.card_only': '{bank} बैंक ऑफ़र केवल कार्ड भुगतान पर मान्य है',
+  'bank.card_types': '{bank} बैंक ऑफ़र केवल {card_types, or} कार्ड पर मान्य है',
+  'bank.card_networks': '{bank} बैंक ऑफ़र केवल {card_networks, or} कार्ड पर मान्य है',
+  'bank.bin': 'यह कार्ड BIN {bank} बैंक ऑफ़र के लिए योग्य नहीं है',
+  'bank.emi': '{bank} बैंक ऑफ़र केवल {months} या अधिक महीनों की EMI पर मान्य है',
+  'bank.min_transaction': '{bank} बैंक ऑफ़र के लिए कम से कम {min, money} का लेनदेन ज़रूरी है। मौजूदा राशि: {amount, money}',
+
+  // Vouchers
+  'voucher.not_applied': 'वाउचर {code} लागू नहीं किया जा सका',
+  'voucher.conflict_not_applied': 'वाउचर {code} लागू नहीं हुआ: {reason}',
+  'voucher.conflict_same_type': "प्रति ऑर्डर केवल एक '{type}' वाउचर इस्तेमाल किया जा सकता है",
+  'voucher.conflict_exclusive': '{code} और {other} एक साथ इस्तेमाल नहीं किए जा सकते',
+  'voucher.conflict_not_combinable': '{code} को {other} के साथ नहीं जोड़ा जा सकता',
+  'voucher.conflict_kept_larger': '{reason}। {winner} रखा गया क्योंकि उस पर ज़्यादा छूट है ({winner_discount, money} बनाम {discount, money})',
+  'voucher.conflict_kept_first': '{reason}। {winner} रखा गया क्योंकि उस पर बराबर छूट है और वह पहले डाला गया था',
+  'voucher.not_found': "वाउचर कोड '{code}' नहीं मिला",
+  'voucher.generated_required': "वाउचर कोड '{code}' एक अभियान है; इसके जनरेट किए गए कोड में से किसी एक का इस्तेमाल करें",
+  'voucher.invalid_check_character': "वाउचर कोड '{code}' मान्य नहीं है, कृपया टाइपिंग की गलती जांचें",
+  'voucher.not_started': "वाउचर कोड '{code}' {date, date} तक सक्रिय नहीं है",
+  'voucher.expired': "वाउचर कोड '{code}' की अवधि {date, date} को समाप्त हो गई",
+  'voucher.outside_window': "वाउचर कोड '{code}' {schedule}",
+  'voucher.tier': "वाउचर कोड '{code}' केवल {tiers, or} ग्राहकों के लिए उपलब्ध है",
+  'voucher.no_eligible_items': "वाउचर कोड '{code}' कार्ट की किसी भी वस्तु पर लागू नहीं होता: {reason}",
+  'voucher.min_order': 'कम से कम {min, money} का ऑर्डर ज़रूरी है। मौजूदा कार्ट राशि: {amount, money}',
+  'voucher.usage_limit': "वाउचर कोड '{code}' अपनी {limit, number} उपयोग की सीमा तक पहुंच गया है",
+  'voucher.usage_limit_per_customer': "वाउचर कोड '{code}' प्रति ग्राहक केवल {limit, number} बार इस्तेमाल किया जा सकता है",
+  'voucher.already_used': "वाउचर कोड '{code}' पहले ही इस्तेमाल हो चुका है",
+  'voucher.system_error': 'वाउचर की जांच में सिस्टम त्रुटि: {error}'
+};
@@ -0,0 +1,94 @@
+/**
+ * Tamil shopper-facing messages, keyed by message ID (see en.js)
+ */
+export const MESSAGES = {
+  // Applied discounts
+  'discount.markdown': '{brand} மீது {percentage, percent} தள்ளுபடி (விற்பனை விலை)',
+  'discount.brand': '{brand} மீது {percentage, percent} தள்ளுபடி',
+  'discount.category': '{category} மீது {percentage, percent} தள்ளுபடி',
+  'discount.bxgy_free': '{buy} வாங்கினால் {get} இலவசம் ({promotion})',
+  'discount.bxgy_percentage': '{buy} வாங்கினால் {get} மீது {percentage, percent} தள்ளுபடி ({promotion})',
+  'discount.membership': '{segment} கூடுதல் {percentage, percent} தள்ளுபடி',
+  'discount.membership_scoped': '{segment} {scope, list} மீது கூடுதல் {percentage, percent} தள்ளுபடி',
+  'discount.cart_slab': '{min_order_value, money}க்கு மேற்பட்ட ஆர்டர்களுக்கு {reward}',
+  'discount.voucher': '{code} மூலம் {percentage, percent} தள்ளுபடி',
+  'discount.voucher_eligible_items': '{code} மூலம் தகுதியான பொருட்களுக்கு {percentage, percent} தள்ளுபடி',
+  'discount.bank': '{bank} {card} மூலம் {percentage, percent} உடனடி தள்ளுபடி',
+  'discount.bank_emi': '{bank} {card} EMI ({months}+ மாதங்கள்) மூலம் {percentage, percent} உடனடி தள்ளுபடி',
+
+  // Message fragments
+  'segment.premium': 'பிரீமியம் உறுப்பினர்களுக்கு',
+  'segment.tiers': '{tiers, or} நிலை வாடிக்கையாளர்களுக்கு',
+  'segment.eligible': 'தகுதியான வாடிக்கையாளர்களுக்கு',
+  'reward.flat': '{amount, money} தள்ளுபடி',
+  'reward.percentage': '{percentage, percent} தள்ளுபடி',
+  'card.any': 'கார்டு',
+  'card.types': '{card_types, or} கார்டு',
+  'instrument.wallet': 'வாலெட்டுக்கு',
+  'instrument.provider_wallet': '{provider} வாலெட்டுக்கு',
+  'instrument.account': '{method} கணக்குக்கு',
+  'instrument.provider_account': '{provider} {method} கணக்குக்கு',
+  'schedule.not_started': '{date, date} அன்று தொடங்கும்',
+  'schedule.ended': '{date, date} அன்று முடிந்துவிட்டது',
+  'schedule.outside_days': '{days, weekdays} மட்டுமே செல்லுபடியாகும்',
+  'schedule.outside_hours': '{start}-{end} ({timezone}) நேரத்தில் மட்டுமே செல்லுபடியாகும்',
+  'missing.tiers': 'நிலை {tiers, or}',
+  'missing.premium': 'பிரீமியம் உறுப்பினர் தகுதி',
+  'missing.attribute': '{attribute} {values, or}',
+  'item.product_excluded': 'பொருள் {value} விலக்கப்பட்டுள்ளது',
+  'item.product_not_eligible': 'பொருள் {value} தகுதியற்றது',
+  'item.brand_excluded': 'பிராண்ட் {value} விலக்கப்பட்டுள்ளது',
+  'item.brand_not_eligible': 'பிராண்ட் {value} தகுதியற்றது',
+  'item.category_excluded': 'வகை {value} விலக்கப்பட்டுள்ளது',
+  'item.category_not_eligible': 'வகை {value} தகுதியற்றது',
+
+  // Nudges and hints
+  'nudge.cart_slab': '{reward} பெற மேலும் {amount, money} சேர்க்கவும்',
+  'membership.unlock': 'மேம்படுத்தி பெறுங்கள் ({requires, list}): {discount}',
+
+  // Cashback and loyalty
+  'cashback.credit': 'உங்கள் {instrument} {amount, money} கேஷ்பேக்',
+  'cashback.credit_within': '{hours} மணி நேரத்திற்குள் உங்கள் {instrument} {amount, money} கேஷ்பேக்',
+  'cashback.no_offer': '{method} கட்டணங்களுக்கு கேஷ்பேக் சலுகை இல்லை',
+  'cashback.not_active': 'கேஷ்பேக் சலுகை {offer}: {schedule}',
+  'cashback.providers': 'கேஷ்பேக் சலுகை {offer} {providers, or} உடன் மட்டுமே செல்லுபடியாகும்',
+  'cashback.min_transaction': 'கேஷ்பேக் சலுகை {offer}க்கு குறைந்தபட்சம் {min, money} பரிவர்த்தனை தேவை. தற்போதைய தொகை: {amount, money}',
+  'loyalty.not_enabled': 'லாயல்டி புள்ளிகளைப் பயன்படுத்த முடியாது',
+  'loyalty.min_points': 'பயன்படுத்த குறைந்தபட்சம் {points, number} புள்ளிகள் தேவை',
+  'loyalty.redeemed': '{points, number} புள்ளிகள் {amount, money}க்கு பயன்படுத்தப்பட்டன',
+  'loyalty.redeemed_partial': '{points, number} புள்ளிகள் {amount, money}க்கு பயன்படுத்தப்பட்டன ({requested, number} கோரப்பட்டது)',
+  'loyalty.earned': 'இந்த ஆர்டரில் {points, number} புள்ளிகள் பெறுங்கள்',
+
+  // Bank offers
+  'bank.not_applied': 'வங்கிச் சலுகை பொருந்தவில்லை: {reason}',
+  'bank.no_offer': '{bank} வங்கிக்கு சலுகை இல்லை',
+  'bank.not_active': '{bank} வங்கிச் சலுகை: {schedule}',
+  'bank.card_only': '{bank} வங்கிச் சலுகை கார்டு கட்டணங்களுக்கு மட்டுமே செல்லுபடியாகும்',
+  'bank.card_types': '{bank} வங்கிச் சலுகை {card_types, or} கார்டுகளுக்கு மட்டுமே செல்லுபடியாகும்',
+  'bank.card_networks': '{bank} வங்கிச் சலுகை {card_networks, or} கார்டுகளுக்கு மட்டுமே செல்லுபடியாகும்',
+  'bank.bin': 'இந்த கார்டு BIN {bank} வங்கிச் சலுகைக்கு தகுதியற்றது',
+  'bank.emi': '{bank} வங்கிச் சலுகை {months} மாதங்கள் அல்லது அதற்கு மேற்பட்ட EMIக்கு மட்டுமே செல்லுபடியாகும்',
+  'bank.min_transaction': '{bank} வங்கிச் சலுகைக்கு குறைந்தபட்சம் {min, money} பரிவர்த்தனை தேவை. தற்போதைய தொகை: {amount, money}',
+
+  // Vouchers
+  'voucher.not_applied': 'வவுச்சர் {code} பொருந்தவில்லை',
+  'voucher.conflict_not_applied': 'வவுச்சர் {code} பொருந்தவில்லை: {reason}',
+  'voucher.conflict_same_type': "ஒரு ஆர்டருக்கு ஒரு '{type}' வவுச்சர் மட்டுமே பயன்படுத்தலாம்",
+  'voucher.conflict_exclusive': '{code} மற்றும் {other} ஒன்றாகப் பயன்படுத்த முடியாது',
+  'voucher.conflict_not_combinable': '{code} ஐ {other} உடன் சேர்த்துப் பயன்படுத்த முடியாது',
+  'voucher.conflict_kept_larger': '{reason}. அதிக தள்ளுபடி தருவதால் {winner} வைக்கப்பட்டது ({winner_discount, money} எதிர் {discount, money})',
+  'voucher.conflict_kept_first': '{reason}. சம தள்ளுபடி தந்து முதலில் உள்ளிடப்பட்டதால் {winner} வைக்கப்பட்டது',
+  'voucher.not_found': "வவுச்சர் குறியீடு '{code}' கிடைக்கவில்லை",
+  'voucher.generated_required': "வவுச்சர் குறியீடு '{code}' ஒரு பிரச்சாரம்; அதன் உருவாக்கப்பட்ட குறியீடுகளில் ஒன்றைப் பயன்படுத்தவும்",
+  'voucher.invalid_check_character': "வவுச்சர் குறியீடு '{code}' செல்லாது, எழுத்துப் பிழைகளைச் சரிபார்க்கவும்",
+  'voucher.not_started': "வவுச்சர் குறியீடு '{code}' {date, date} வரை செயலில் இல்லை",
+  'voucher.expired': "வவுச்சர் குறியீடு '{code}' {date, date} அன்று காலாவதியானது",
+  'voucher.outside_window': "வவுச்சர் குறியீடு '{code}': {schedule}",
+  'voucher.tier': "வவுச்சர் குறியீடு '{code}' {tiers, or} வாடிக்கையாளர்களுக்கு மட்டுமே கிடைக்கும்",
+  'voucher.no_eligible_items': "வவுச்சர் குறியீடு '{code}' கார்ட்டில் உள்ள எந்தப் பொருளுக்கும் பொருந்தாது: {reason}",
+  'voucher.min_order': 'குறைந்தபட்ச ஆர்டர் மதிப்பு {min, money} தேவை. தற்போதைய கார்ட் மொத்தம்: {amount, money}',
+  'voucher.usage_limit': "வவுச்சர் குறியீடு '{code}' அதன் {limit, number} பயன்பாட்டு வரம்பை எட்டிவிட்டது",
+  'voucher.usage_limit_per_customer': "வவுச்சர் குறியீடு '{code}' ஒரு வாடிக்கையாளருக்கு {limit, number} முறை மட்டுமே பயன்படுத்தலாம்",
+  'voucher.already_used': "வவுச்சர் குறியீடு '{code}' ஏற்கனவே பயன்படுத்தப்பட்டது",
+  'voucher.system_error': 'வவுச்சரைச் சரிபார்ப்பதில் கணினிப் பிழை: {error}'
+};
@@ -1,4 +1,5 @@
 import Decimal from 'decimal.js';
+import { DEFAULT_PRICING_POLICY, formatMoney } from '../utils/currency.js';
 
 /**
  * Enum for Brand Tiers
@@ -19,7 +20,8 @@ export class Product {
     brand_tier,
     category,
     base_price,
-    current_price
+    current_price,
+    currency = null
   }) {
     this.id = id;
     this.brand = brand;
@@ -27,6 +29,7 @@ export class Product {
     this.category = category;
     this.base_price = new Decimal(base_price);
     this.current_price = new Decimal(current_price);
+    this.currency = currency; // ISO currency code; null prices in the rule set's currency
   }
 }
 
@@ -56,11 +59,19 @@ export class PaymentInfo {
   constructor({
     method,
     bank_name = null,
-    card_type = null
+    card_type = null,
+    card_network = null,
+    card_bin = null,
+    emi_tenure_months = null,
+    provider = null
   }) {
     this.method = method; // CARD, UPI, etc
     this.bank_name = bank_name;
     this.card_type = card_type; // CREDIT, DEBIT
+    this.card_network = card_network; // VISA, MASTERCARD, RUPAY, AMEX
+    this.card_bin = card_bin; // first 6-8 digits of the card number
+    this.emi_tenure_months = emi_tenure_months; // set when paying by card EMI
+    this.provider = provider; // UPI app or wallet, e.g. PAYTM, PHONEPE
   }
 }
 
@@ -74,7 +85,10 @@ export class CustomerProfile {
     email,
     phone,
     is_premium_member = false,
-    voucherCode = null
+    voucherCode = null,
+    voucherCodes = [],
+    attributes = {},
+    redeemPoints = 0
   }) {
     this.id = id;
     this.tier = tier;
@@ -82,6 +96,45 @@ export class CustomerProfile {
     this.phone = phone;
     this.is_premium_member = is_premium_member;
     this.voucherCode = voucherCode;
+    this.voucherCodes = voucherCodes; // several codes for one order, applied with their combinability rules
+    this.attributes = attributes; // segment attributes, e.g. { city: 'Bengaluru', student: true }
+    this.redeemPoints = redeemPoints; // loyalty points the customer wants to redeem at checkout
+  }
+}
+
+/**
+ * Line Item Price model - one cart line's share of a DiscountedPrice
+ */
+export class LineItemPrice {
+  constructor({
+    index,
+    product_id,
+    quantity,
+    size = null,
+    original_price,
+    final_price,
+    applied_discounts = {},
+    price_basis = null,
+    tax = null
+  }) {
+    this.index = index; // position of the CartItem in the cart
+    this.product_id = product_id;
+    this.quantity = quantity;
+    this.size = size;
+    this.original_price = new Decimal(original_price);
+    this.final_price = new Decimal(final_price);
+    this.applied_discounts = applied_discounts; // discount_name -> amount allocated to this line
+    this.price_basis = price_basis; // 'markdown' (current_price kept), 'min_discount' (lowered to the brand minimum) or null
+    this.tax = tax; // { hsn_code, rate, taxable_value, tax_amount } when the rule set has tax rates
+  }
+
+  getTotalDiscount() {
+    return Object.values(this.applied_discounts)
+      .reduce((total, discount) => total.add(discount), new Decimal(0));
+  }
+
+  getUnitPrice() {
+    return this.final_price.div(this.quantity);
   }
 }
 
@@ -90,15 +143,43 @@ export class CustomerProfile {
  */
 export class DiscountedPrice {
   constructor({
+    currency = DEFAULT_PRICING_POLICY.currency,
+    locale = DEFAULT_PRICING_POLICY.locale,
     original_price,
     final_price,
     applied_discounts = {},
-    message = ''
+    message = '',
+    messages = [],
+    line_items = [],
+    suppressed_discounts = [],
+    rejected_vouchers = [],
+    diagnostics = [],
+    ruleset_version = null,
+    tax = null,
+    cashback = null,
+    loyalty = null,
+    trace = null,
+    pricing_context = null,
+    quote_id = null
   }) {
+    this.currency = currency;
+    this.locale = locale; // locale amounts are formatted for
     this.original_price = new Decimal(original_price);
     this.final_price = new Decimal(final_price);
     this.applied_discounts = applied_discounts; // discount_name -> amount
     this.message = message;
+    this.messages = messages; // [{ id, params, text }] the shopper messages joined into message
+    this.line_items = line_items; // LineItemPrice per CartItem, summing to final_price
+    this.suppressed_discounts = suppressed_discounts; // [{ discount, amount, reason }] blocked by the stacking policy
+    this.rejected_vouchers = rejected_vouchers; // [{ code, error, errorCode, winner }] codes that were entered but not applied
+    this.diagnostics = diagnostics; // [{ severity, code, message, details }] offers skipped or failed while pricing
+    this.ruleset_version = ruleset_version; // registry version of the rules priced with, null for rules swapped in directly
+    this.tax = tax; // { taxable_value, tax_amount, post_tax_discount, grand_total } when the rule set has tax rates
+    this.cashback = cashback; // { offer, amount, provider, credit_to, expected_credit_at } paid after checkout, not in final_price
+    this.loyalty = loyalty; // { requested_points, redeemed_points, redeemed_value, earned_points } when a loyalty program runs
+    this.trace = trace; // { calculated_at, currency, original_price, steps, final_price, grand_total } when requested
+    this.pricing_context = pricing_context; // cart, customer, payment and rules the price was calculated with
+    this.quote_id = quote_id; // ID of the saved quote, when the price was saved (see DiscountService.saveQuote)
   }
 
   getTotalDiscount() {
@@ -110,4 +191,61 @@ export class DiscountedPrice {
     if (this.original_price.isZero()) return new Decimal(0);
     return this.getTotalDiscount().div(this.original_price).mul(100);
   }
-} 
\ No newline at end of file
+
+  /**
+   * Invoice total: final_price plus GST, less post-tax discounts (final_price when untaxed)
+   */
+  getGrandTotal() {
+    return this.tax ? this.tax.grand_total : this.final_price;
+  }
+
+  /**
+   * Amount left to pay after redeemed loyalty points
+   */
+  getAmountPayable() {
+    return this.loyalty ? this.getGrandTotal().sub(this.loyalty.redeemed_value) : this.getGrandTotal();
+  }
+
+  /**
+   * Totals formatted for display in the result's currency, e.g. '₹2,673'
+   */
+  getFormattedAmounts() {
+    const format = amount => formatMoney(amount, this.currency, this.locale);
+    return {
+      original_price: format(this.original_price),
+      final_price: format(this.final_price),
+      total_discount: format(this.getTotalDiscount()),
+      ...(this.tax && { tax_amount: format(this.tax.tax_amount), grand_total: format(this.tax.grand_total) }),
+      amount_payable: format(this.getAmountPayable())
+    };
+  }
+}
+
+/**
+ * Refund result model for a partial return
+ */
+export class RefundResult {
+  constructor({
+    refund_amount,
+    points_refunded = 0,
+    points_refund_value = 0,
+    line_refunds = [],
+    clawbacks = [],
+    unrecovered_clawback = 0,
+    remaining = null
+  }) {
+    this.refund_amount = new Decimal(refund_amount); // returned to the payment method
+    this.points_refunded = points_refunded; // loyalty points returned to the customer's balance
+    this.points_refund_value = new Decimal(points_refund_value);
+    this.line_refunds = line_refunds; // { index, product_id, quantity_returned, paid_amount, tax_amount, clawback, points_value, refund_amount }
+    // where paid_amount includes tax_amount, the GST paid on the returned units, and points_value is the
+    // part of the line's refund given back as points
+    this.clawbacks = clawbacks; // { discount, original_amount, recalculated_amount, clawback_amount, reason }
+    this.unrecovered_clawback = new Decimal(unrecovered_clawback); // clawback exceeding the value of the returned items
+    this.remaining = remaining; // DiscountedPrice of the items kept
+  }
+
+  getTotalClawback() {
+    return this.clawbacks.reduce((total, clawback) => total.add(clawback.clawback_amount), new Decimal(0));
+  }
+}
@@ -1,308 +1,1964 @@
+import crypto from 'crypto';
 import Decimal from 'decimal.js';
-import { DiscountedPrice } from '../models/index.js';
+import {
+  CartItem,
+  CustomerProfile,
+  DiscountedPrice,
+  LineItemPrice,
+  PaymentInfo,
+  Product,
+  RefundResult
+} from '../models/index.js';
+import { DEFAULT_RULES_FILE, localizeRuleSet, readRuleFile } from './RuleLoader.js';
+import { RulesetRegistry } from './RulesetRegistry.js';
+import { InMemoryRepository } from './Repository.js';
+import { VoucherLedger } from './VoucherLedger.js';
+import { LoyaltyLedger } from './LoyaltyLedger.js';
+import { VoucherCodeGenerator } from './VoucherCodeGenerator.js';
+import { findExclusivityConflict, getTotalDiscountCap, matchesDiscountPattern } from './StackingPolicy.js';
+import { calculateTax, isTaxEnabled } from './TaxCalculator.js';
+import {
+  ConflictError, DiscountError, NotFoundError, PricingError, ValidationError, createDiagnostic, toDiagnostic
+} from '../errors/index.js';
+import { allocateProportionally } from '../utils/money.js';
+import { formatMoney, getMinorDigits, isValidLocale, roundAcrossLines, roundMoney } from '../utils/currency.js';
+import { defineMessage, formatMessage, isSameMessage } from '../utils/messages.js';
+import { getScheduleStatus, isRuleActive } from '../utils/schedule.js';
+import { hasValidCheckCharacter, matchesCodeFormat } from '../utils/voucherCodes.js';
+
+/**
+ * Voucher fields that limit which cart lines a voucher applies to
+ */
+const VOUCHER_ITEM_RESTRICTIONS = [
+  'allowed_brands', 'excluded_brands',
+  'allowed_categories', 'excluded_categories',
+  'allowed_product_ids', 'excluded_product_ids'
+];
+
+/**
+ * Pricing pipeline stage handlers, keyed by stacking policy stage name
+ */
+const STAGE_HANDLERS = {
+  brand_category: (service, state, pipeline) => service.applyBrandCategoryStage(state, pipeline),
+  bxgy: (service, state, pipeline) => service.applyBuyXGetYStage(state, pipeline),
+  membership: (service, state, pipeline) => service.applyMembershipStage(state, pipeline),
+  cart_before_vouchers: (service, state, pipeline) => service.applyCartPromotionStage('before_vouchers', state, pipeline),
+  voucher: (service, state, pipeline) => service.applyVoucherStage(state, pipeline),
+  cart_after_vouchers: (service, state, pipeline) => service.applyCartPromotionStage('after_vouchers', state, pipeline),
+  bank: (service, state, pipeline) => service.applyBankStage(state, pipeline)
+};
 
 /**
  * Discount Service - Handles all e-commerce discount logic
  */
 export class DiscountService {
-  constructor() {
-    // Initialize discount rules and configurations
-    this.brandDiscounts = new Map();
-    this.categoryDiscounts = new Map();
-    this.bankOffers = new Map();
-    this.voucherCodes = new Map();
-    
-    this.initializeDiscountRules();
-  }
-
-  /**
-   * Initialize default discount rules
-   */
-  initializeDiscountRules() {
-    // Brand-specific discounts
-    this.brandDiscounts.set('PUMA', { percentage: 40, min_discount: 40 });
-    this.brandDiscounts.set('NIKE', { percentage: 35, min_discount: 35 });
-    this.brandDiscounts.set('ADIDAS', { percentage: 30, min_discount: 30 });
-
-    // Category-specific discounts
-    this.categoryDiscounts.set('T-shirts', { percentage: 10 });
-    this.categoryDiscounts.set('Shoes', { percentage: 15 });
-    this.categoryDiscounts.set('Jeans', { percentage: 12 });
-
-    // Bank offers
-    this.bankOffers.set('ICICI', { percentage: 10, max_discount: 2000 });
-    this.bankOffers.set('HDFC', { percentage: 8, max_discount: 1500 });
-    this.bankOffers.set('SBI', { percentage: 5, max_discount: 1000 });
-
-    // Voucher codes
-    this.voucherCodes.set('SUPER69', { 
-      percentage: 69, 
-      max_discount: 5000,
-      min_order_value: 1000,
-      valid_until: new Date('2025-12-31')
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.rules - Rule document (same shape as the rule files)
+   * @param {string} options.rulesFile - JSON or YAML rule file to load when no rules are given
+   * @param {Repository} options.repository - Where rule versions, voucher redemptions, points and generated
+   *   codes are kept (defaults to an InMemoryRepository); see Repository.js
+   * @param {RulesetRegistry} options.registry - Versioned rules to price with (defaults to a registry on the
+   *   repository whose version 1 is the rules or rule file); the service follows its current version
+   * @param {VoucherLedger} options.ledger - Voucher redemption ledger (defaults to a ledger on the repository and service clock)
+   * @param {LoyaltyLedger} options.loyaltyLedger - Loyalty points ledger (defaults to a ledger on the repository and service clock)
+   * @param {VoucherCodeGenerator} options.codeGenerator - Generated voucher codes (defaults to the repository's store on the service clock)
+   * @param {Function} options.clock - Returns the current time as a Date; pricing runs "as of" this time
+   */
+  constructor({
+    rules = null,
+    rulesFile = DEFAULT_RULES_FILE,
+    ledger = null,
+    loyaltyLedger = null,
+    codeGenerator = null,
+    repository = null,
+    registry = null,
+    clock = () => new Date()
+  } = {}) {
+    this.rulesFile = rulesFile;
+    this.rules = null;
+    this.ruleReloadDiagnostic = null; // why the last watchRulesFile reload failed; null once one succeeds
+    this.clock = clock;
+    this.repository = repository || new InMemoryRepository();
+    const now = () => this.clock().getTime();
+    this.ledger = ledger || new VoucherLedger({ store: this.repository.redemptions, now });
+    this.loyaltyLedger = loyaltyLedger || new LoyaltyLedger({ store: this.repository.points, now });
+    this.codeGenerator = codeGenerator || new VoucherCodeGenerator({ store: this.repository.generatedCodes, now });
+    this.registry = registry || this.initializeDiscountRules(rules);
+
+    this.reloadRules(this.registry.getRuleSet());
+    this.registry.onPublish(version => this.reloadRules(this.registry.getRuleSet(version.version)));
+  }
+
+  /**
+   * Create the rule registry on the repository. When the repository has no
+   * versions yet, version 1 is the rule document, or the configured rule file.
+   * @returns {RulesetRegistry}
+   */
+  initializeDiscountRules(rules = null) {
+    const store = this.repository.rulesets;
+    const seeded = store.loadVersions().length > 0;
+    return new RulesetRegistry({
+      document: seeded ? {} : (rules || readRuleFile(this.rulesFile)),
+      source: rules ? null : this.rulesFile,
+      store,
+      now: () => this.clock().getTime()
     });
-    this.voucherCodes.set('WELCOME20', { 
-      percentage: 20, 
-      max_discount: 500,
-      min_order_value: 500,
-      valid_until: new Date('2025-12-31')
+  }
+
+  /**
+   * Swap in a new rule set.
+   * Calculations already in progress keep the rule set they started with.
+   * Publishing a version to the registry does this; a rule set swapped in
+   * directly is not recorded in the version history.
+   * @param {Object} ruleSet - Rule set built by RuleLoader
+   */
+  reloadRules(ruleSet) {
+    this.rules = ruleSet;
+  }
+
+  get brandDiscounts() {
+    return this.rules.brandDiscounts;
+  }
+
+  get categoryDiscounts() {
+    return this.rules.categoryDiscounts;
+  }
+
+  get bankOffers() {
+    return this.rules.bankOffers;
+  }
+
+  get voucherCodes() {
+    return this.rules.voucherCodes;
+  }
+
+  get bxgyPromotions() {
+    return this.rules.bxgyPromotions;
+  }
+
+  get cartPromotions() {
+    return this.rules.cartPromotions;
+  }
+
+  get membershipDiscounts() {
+    return this.rules.membershipDiscounts;
+  }
+
+  get cashbackOffers() {
+    return this.rules.cashbackOffers;
+  }
+
+  get loyaltyProgram() {
+    return this.rules.loyaltyProgram;
+  }
+
+  get stackingPolicy() {
+    return this.rules.stackingPolicy;
+  }
+
+  /**
+   * Resolve pricing options into the context a calculation runs with
+   * @param {Object} options - Pricing options
+   * @param {Object} options.rules - Rule set to price against (defaults to the current rules)
+   * @param {number} options.rulesetVersion - Registry version to price against instead of the current rules
+   * @param {Date} options.at - Time to price at, used for rule schedules (defaults to the service clock)
+   * @param {boolean} options.checkUsageLimits - Whether vouchers are checked against the ledger (default true)
+   * @param {string} options.orderId - Order being priced; its own voucher and points reservations do not count
+   *   against the usage limits or points balance, so a cart can be repriced after reserving
+   * @param {string} options.currency - Currency to price in (defaults to the rule set's pricing.currency);
+   *   the rules are localized to it, see RuleLoader.localizeRuleSet
+   * @param {string} options.locale - Locale of shopper messages, e.g. 'hi-IN' (defaults to the rule set's pricing.locale)
+   * @returns {Object} { rules, at, checkUsageLimits, orderId, currency, locale }
+   * @throws {ValidationError} INVALID_LOCALE if the locale is not a valid BCP 47 locale
+   * @throws {NotFoundError} RULESET_VERSION_NOT_FOUND if the registry has no such version
+   */
+  createPricingContext({
+    rulesetVersion = null,
+    rules = rulesetVersion === null ? this.rules : this.registry.getRuleSet(rulesetVersion),
+    at = this.clock(),
+    checkUsageLimits = true,
+    orderId = null,
+    currency = null,
+    locale = null
+  } = {}) {
+    if (locale !== null && !isValidLocale(locale)) {
+      throw new ValidationError('INVALID_LOCALE', `Invalid locale: '${locale}' is not a BCP 47 locale`, { locale });
+    }
+
+    const pricingCurrency = currency || rules.currency || rules.pricingPolicy.currency;
+    const pricingLocale = locale || rules.locale || rules.pricingPolicy.locale;
+    return {
+      rules: localizeRuleSet(rules, pricingCurrency, pricingLocale),
+      at,
+      checkUsageLimits,
+      orderId,
+      currency: pricingCurrency,
+      locale: pricingLocale
+    };
+  }
+
+  /**
+   * Currency a cart is priced in
+   * @returns {string|null} The products' currency, or null when none set one
+   * @throws {ValidationError} MIXED_CURRENCY if the cart mixes currencies; details.index is the first
+   *   line priced in a different currency from the lines before it
+   */
+  getCartCurrency(cartItems) {
+    const currencies = cartItems.map(item => item.product?.currency).filter(Boolean);
+    const currency = currencies[0] || null;
+    const index = cartItems.findIndex(item => item.product?.currency && item.product.currency !== currency);
+    if (index !== -1) {
+      throw new ValidationError('MIXED_CURRENCY',
+        `Invalid cart item: all products must be priced in one currency, got ${[...new Set(currencies)].join(', ')}`,
+        { index, currency: cartItems[index].product.currency, expected: currency });
+    }
+    return currency;
+  }
+
+  /**
+   * Format an amount for messages in the currency and locale a rule set is localized to
+   */
+  formatAmount(amount, rules = this.rules) {
+    return formatMoney(amount, rules.currency || rules.pricingPolicy.currency, rules.locale || rules.pricingPolicy.locale);
+  }
+
+  /**
+   * Shopper-facing message in the currency and locale a rule set is localized to
+   * @param {string} id - Message ID, see locales/en.js
+   * @param {Object} params - Template parameters
+   * @returns {Object} { id, params, text }
+   */
+  createMessage(id, params = {}, rules = this.rules) {
+    return { id, params, text: this.translate(id, params, rules) };
+  }
+
+  /**
+   * Text of a shopper-facing message, see createMessage
+   * @returns {string}
+   */
+  translate(id, params = {}, rules = this.rules) {
+    return formatMessage(id, params, {
+      locale: rules.locale || rules.pricingPolicy.locale,
+      currency: rules.currency || rules.pricingPolicy.currency
     });
   }
 
+  /**
+   * Add a message to the pricing state unless one with the same ID and parameters is there
+   */
+  addMessage(state, message) {
+    if (message && !state.messages.some(existing => isSameMessage(existing, message))) {
+      state.messages.push(message);
+    }
+  }
+
+  /**
+   * Look up a rule that is active at the given time
+   * @param {Map} ruleMap - Rules of one type, e.g. rules.brandDiscounts
+   * @param {string} key - Brand / category / bank / voucher code / promotion ID
+   * @param {Date} at - Pricing time
+   * @returns {Object|undefined} The rule, or undefined when missing or outside its schedule
+   */
+  getActiveRule(ruleMap, key, at) {
+    const rule = ruleMap.get(key);
+    return rule && isRuleActive(rule, at) ? rule : undefined;
+  }
+
   /**
    * Calculate cart discounts with proper precedence
-   * Order: Brand/Category -> Voucher -> Bank Offers
+   * Stages run in the order set by the rule set's stacking policy, by default:
+   * Brand/Category -> Buy X Get Y -> Cart promotions (before_vouchers) -> Voucher
+   *   -> Cart promotions (after_vouchers) -> Bank Offers
+   * Discounts the policy blocks (exclusivity groups, total discount cap) are
+   * reported in suppressed_discounts.
    * @param {Array} cartItems - Array of cart items
    * @param {Object} customer - Customer profile
    * @param {Object} paymentInfo - Payment information (optional)
+   * @param {Object} options - Pricing options, see createPricingContext, plus `trace` to record
+   *   every rule considered in the result's trace (see traceStep) and `saveQuote` to save the quote
+   *   and return its quote_id (see saveQuote); `locale` sets the language of messages
    * @returns {DiscountedPrice} Final pricing with applied discounts
-   * @throws {Error} If required parameters are missing or invalid
+   * @throws {ValidationError} INVALID_CART, INVALID_CUSTOMER, INVALID_CART_ITEM (details.index is the
+   *   offending line), MIXED_CURRENCY or INVALID_LOCALE when the input is invalid
+   * @throws {PricingError} PRICING_FAILED when pricing fails for any other reason (the cause is attached)
+   */
+  async calculateCartDiscounts(cartItems, customer, paymentInfo = null, options = {}) {
+    try {
+      // Input validation
+      if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
+        throw new ValidationError('INVALID_CART', 'Cart items are required and must be a non-empty array', {
+          field: 'cartItems'
+        });
+      }
+      
+      if (!customer || typeof customer !== 'object') {
+        throw new ValidationError('INVALID_CUSTOMER', 'Customer profile is required', { field: 'customer' });
+      }
+
+      // Calculate original total
+      const originalTotal = cartItems.reduce((total, item, index) => {
+        if (!item?.product || !item.product.base_price || !item.quantity) {
+          throw new ValidationError('INVALID_CART_ITEM',
+            `Invalid cart item ${index}: missing product or quantity information`, { index });
+        }
+        return total.add(item.product.base_price.mul(item.quantity));
+      }, new Decimal(0));
+
+      // Pin the rule set so a hot reload cannot change rules mid-calculation
+      const { trace = false, saveQuote = false, ...pricingOptions } = options;
+      const context = this.createPricingContext({
+        ...pricingOptions,
+        currency: this.getCartCurrency(cartItems) || pricingOptions.currency
+      });
+      const pipeline = { cartItems, customer, paymentInfo, context, trace };
+
+      const state = await this.selectBestOfExclusivityGroups(pipeline, await this.runPricingPipeline(pipeline));
+
+      // GST on the discounted lines; post-tax discounts come off the tax-inclusive total
+      const tax = isTaxEnabled(context.rules) ? calculateTax(cartItems, state.lines, context.rules, context.currency) : null;
+      const payable = tax ? tax.grand_total : state.total;
+
+      // Loyalty points are a partial tender after all discounts
+      const loyalty = await this.calculateLoyalty(state, cartItems, customer, context, tax);
+
+      // Cashback is credited after payment, so it is reported but never lowers the payable amount;
+      // it is worked out on what the payment method pays, after points
+      const { cashback, message: cashbackMessage } = paymentInfo
+        ? this.calculateCashback(paymentInfo, loyalty ? payable.sub(loyalty.redeemed_value) : payable, context.rules, context.at)
+        : { cashback: null };
+      if (cashback) {
+        this.addMessage(state, cashbackMessage);
+      }
+
+      const result = new DiscountedPrice({
+        currency: context.currency,
+        locale: context.locale,
+        original_price: originalTotal,
+        final_price: state.total,
+        applied_discounts: state.appliedDiscounts,
+        message: state.messages.map(message => message.text).join(' | '),
+        messages: state.messages,
+        line_items: state.lines.map((line, index) => new LineItemPrice({
+          index,
+          product_id: cartItems[index].product.id,
+          quantity: cartItems[index].quantity,
+          size: cartItems[index].size,
+          ...line,
+          tax: tax ? tax.lines[index] : null
+        })),
+        suppressed_discounts: state.suppressed,
+        rejected_vouchers: state.rejectedVouchers,
+        diagnostics: state.diagnostics,
+        ruleset_version: context.rules.version ?? null,
+        tax: tax && {
+          taxable_value: tax.taxable_value,
+          tax_amount: tax.tax_amount,
+          post_tax_discount: tax.post_tax_discount,
+          grand_total: tax.grand_total
+        },
+        cashback,
+        loyalty,
+        trace: state.trace && {
+          calculated_at: context.at,
+          currency: context.currency,
+          original_price: originalTotal,
+          steps: state.trace,
+          final_price: state.total,
+          grand_total: payable
+        },
+        pricing_context: {
+          cart_items: cartItems,
+          customer,
+          payment_info: paymentInfo,
+          rules: context.rules,
+          currency: context.currency,
+          calculated_at: context.at
+        }
+      });
+      if (saveQuote) {
+        result.quote_id = await this.saveQuote(result);
+      }
+      return result;
+
+    } catch (error) {
+      if (error instanceof DiscountError) {
+        throw error;
+      }
+      throw new PricingError('PRICING_FAILED', `Failed to calculate discounts: ${error.message}`, {}, error);
+    }
+  }
+
+  /**
+   * Save what a price was calculated from, so it can be repriced later, after a
+   * restart or by an HTTP caller (see getQuote). Vouchers that were rejected are
+   * left out, and the points redeemed are kept as the points requested, so that
+   * repricing without the ledgers gives the same result.
+   * @param {DiscountedPrice} result - Result of calculateCartDiscounts
+   * @returns {Promise<string>} Quote ID
+   * @throws {ConflictError} QUOTE_NEEDS_RULESET_VERSION if the price used rules from outside the registry
+   */
+  async saveQuote(result) {
+    if (result.ruleset_version === null) {
+      throw new ConflictError('QUOTE_NEEDS_RULESET_VERSION', 'Only prices calculated with registry rules can be saved as quotes');
+    }
+
+    const { cart_items: cartItems, customer, payment_info: paymentInfo, currency, calculated_at: calculatedAt } = result.pricing_context;
+    const rejected = new Set(result.rejected_vouchers.map(({ code }) => code));
+    const quote = {
+      id: crypto.randomUUID(),
+      cart_items: cartItems,
+      customer: {
+        ...customer,
+        voucherCode: rejected.has(customer.voucherCode) ? null : customer.voucherCode ?? null,
+        voucherCodes: (customer.voucherCodes || []).filter(code => !rejected.has(code)),
+        redeemPoints: result.loyalty ? result.loyalty.redeemed_points : customer.redeemPoints ?? 0
+      },
+      payment_info: paymentInfo,
+      ruleset_version: result.ruleset_version,
+      currency,
+      locale: result.locale,
+      calculated_at: calculatedAt
+    };
+    await this.repository.quotes.save(quote);
+    return quote.id;
+  }
+
+  /**
+   * Reprice a saved quote under its ruleset version and time
+   * @param {string} quoteId - ID returned by saveQuote
+   * @returns {Promise<DiscountedPrice>} The quote's price, with quote_id set
+   * @throws {NotFoundError} QUOTE_NOT_FOUND
+   */
+  async getQuote(quoteId) {
+    const quote = await this.repository.quotes.get(quoteId);
+    if (!quote) {
+      throw new NotFoundError('QUOTE_NOT_FOUND', `Quote '${quoteId}' not found`, { quote_id: quoteId });
+    }
+
+    // Stored quotes are plain JSON; rebuild the models
+    const result = await this.calculateCartDiscounts(
+      quote.cart_items.map(item => new CartItem({ product: new Product(item.product), quantity: item.quantity, size: item.size })),
+      new CustomerProfile(quote.customer),
+      quote.payment_info && new PaymentInfo(quote.payment_info),
+      {
+        rulesetVersion: quote.ruleset_version,
+        at: quote.calculated_at,
+        currency: quote.currency,
+        locale: quote.locale,
+        checkUsageLimits: false
+      }
+    );
+    result.quote_id = quote.id;
+    return result;
+  }
+
+  /**
+   * Calculate the refund for returning items from a priced order.
+   * The kept items are repriced under the rules and time of the original
+   * calculation, and discounts they no longer qualify for (e.g. a voucher
+   * min_order_value) are clawed back from the refund. When the order was taxed
+   * the refund includes the GST paid on the returned units. The share paid with
+   * loyalty points is refunded as points and left out of refund_amount.
+   * @param {DiscountedPrice|string} order - Result of calculateCartDiscounts for the order, or the ID of its saved quote
+   * @param {Array} returnedLines - [{ index, quantity }] cart line index and number of units returned
+   * @returns {RefundResult} Refund per returned line, clawbacks and the repriced remaining order
+   * @throws {ValidationError} INVALID_RETURN if the result cannot be repriced or a returned line is
+   *   invalid; details.index is the offending cart line
+   * @throws {NotFoundError} QUOTE_NOT_FOUND if no quote has the given ID
+   */
+  async calculateReturnRefund(order, returnedLines) {
+    const originalResult = typeof order === 'string' ? await this.getQuote(order) : order;
+    const context = originalResult?.pricing_context;
+    if (!context) {
+      throw new ValidationError('INVALID_RETURN', 'Invalid return: original result has no pricing context', {
+        field: 'originalResult'
+      });
+    }
+    if (!Array.isArray(returnedLines) || returnedLines.length === 0) {
+      throw new ValidationError('INVALID_RETURN', 'Invalid return: returned lines are required and must be a non-empty array', {
+        field: 'returnedLines'
+      });
+    }
+
+    const returnedQuantities = new Map();
+    returnedLines.forEach((returnedLine, position) => {
+      // A string index would find the line here but not in the kept-items loop below
+      if (returnedLine === null || typeof returnedLine !== 'object'
+        || !Number.isInteger(returnedLine.index) || returnedLine.index < 0) {
+        throw new ValidationError('INVALID_RETURN',
+          `Invalid return: returned line ${position} must be an object with a cart line index (a whole number from 0)`,
+          { index: returnedLine?.index ?? null, position });
+      }
+      const { index, quantity } = returnedLine;
+      const line = originalResult.line_items[index];
+      if (!line) {
+        throw new ValidationError('INVALID_RETURN', `Invalid return: cart line ${index} does not exist`, { index });
+      }
+      const alreadyReturned = returnedQuantities.get(index) || 0;
+      if (!Number.isInteger(quantity) || quantity < 1 || alreadyReturned + quantity > line.quantity) {
+        throw new ValidationError('INVALID_RETURN',
+          `Invalid return: cannot return ${quantity} of ${line.quantity} unit(s) on cart line ${index}`,
+          { index, quantity, available: line.quantity - alreadyReturned });
+      }
+      returnedQuantities.set(index, alreadyReturned + quantity);
+    });
+
+    // Reprice the kept items as of the original calculation
+    const keptItems = [];
+    context.cart_items.forEach((item, index) => {
+      const keptQuantity = item.quantity - (returnedQuantities.get(index) || 0);
+      if (keptQuantity > 0) {
+        keptItems.push(new CartItem({ product: item.product, quantity: keptQuantity, size: item.size }));
+      }
+    });
+
+    // The kept items redeem no more points than the order did; the rest go back as points
+    const pricingOptions = { rules: context.rules, at: context.calculated_at, checkUsageLimits: false };
+    const keptCustomer = originalResult.loyalty
+      ? { ...context.customer, redeemPoints: originalResult.loyalty.redeemed_points }
+      : context.customer;
+    const remaining = keptItems.length > 0
+      ? await this.calculateCartDiscounts(keptItems, keptCustomer, context.payment_info, pricingOptions)
+      : null;
+
+    // Split each original line into its returned and kept share; what was paid includes the line's GST
+    const minorDigits = getMinorDigits(originalResult.currency);
+    const paidForReturned = [];
+    const keptDiscounts = {};
+    originalResult.line_items.forEach((line, index) => {
+      const returned = returnedQuantities.get(index) || 0;
+      const split = [returned, line.quantity - returned];
+
+      if (returned > 0) {
+        const tax = allocateProportionally(line.tax ? line.tax.tax_amount : 0, split, minorDigits)[0];
+        const paid = allocateProportionally(line.final_price, split, minorDigits)[0].add(tax);
+        paidForReturned.push({ line, returned, paid, tax });
+      }
+      Object.entries(line.applied_discounts).forEach(([key, amount]) => {
+        keptDiscounts[key] = (keptDiscounts[key] || new Decimal(0)).add(allocateProportionally(amount, split, minorDigits)[1]);
+      });
+    });
+
+    // Compare the kept items' original discounts with the repriced ones
+    const recalculatedDiscounts = remaining ? remaining.applied_discounts : {};
+    const clawbacks = [];
+    for (const key of new Set([...Object.keys(keptDiscounts), ...Object.keys(recalculatedDiscounts)])) {
+      const originalAmount = keptDiscounts[key] || new Decimal(0);
+      const recalculatedAmount = recalculatedDiscounts[key] || new Decimal(0);
+      const clawbackAmount = originalAmount.sub(recalculatedAmount);
+      if (remaining && !clawbackAmount.isZero()) {
+        clawbacks.push({
+          discount: key,
+          original_amount: originalAmount,
+          recalculated_amount: recalculatedAmount,
+          clawback_amount: clawbackAmount,
+          reason: await this.describeClawback(key, recalculatedAmount, keptItems, context, pricingOptions)
+        });
+      }
+    }
+
+    // Charge the clawback to the returned lines in proportion to what was paid for them
+    const totalPaid = paidForReturned.reduce((total, { paid }) => total.add(paid), new Decimal(0));
+    const refundDue = originalResult.getGrandTotal().sub(remaining ? remaining.getGrandTotal() : 0);
+    const totalClawback = totalPaid.sub(refundDue);
+    const clawbackShares = allocateProportionally(totalClawback.abs(), paidForReturned.map(({ paid }) => paid), minorDigits)
+      .map(share => (totalClawback.isNegative() ? share.neg() : share));
+
+    let unrecovered = new Decimal(0);
+    const valueRefunds = paidForReturned.map(({ paid }, position) => {
+      const refund = paid.sub(clawbackShares[position]);
+      if (refund.isNegative()) {
+        unrecovered = unrecovered.add(refund.neg());
+      }
+      return Decimal.max(refund, 0);
+    });
+
+    // Points no longer redeemed by the kept items are refunded as points, not to the payment method
+    const keptLoyalty = remaining ? remaining.loyalty : null;
+    const pointsRefunded = originalResult.loyalty
+      ? originalResult.loyalty.redeemed_points - (keptLoyalty ? keptLoyalty.redeemed_points : 0)
+      : 0;
+    const pointsValue = originalResult.loyalty
+      ? originalResult.loyalty.redeemed_value.sub(keptLoyalty ? keptLoyalty.redeemed_value : 0)
+      : new Decimal(0);
+    const pointsShares = allocateProportionally(pointsValue, valueRefunds, minorDigits);
+
+    const lineRefunds = paidForReturned.map(({ line, returned, paid, tax }, position) => ({
+      index: line.index,
+      product_id: line.product_id,
+      quantity_returned: returned,
+      paid_amount: paid,
+      tax_amount: tax,
+      clawback: clawbackShares[position],
+      points_value: pointsShares[position],
+      refund_amount: valueRefunds[position].sub(pointsShares[position])
+    }));
+
+    return new RefundResult({
+      refund_amount: lineRefunds.reduce((total, line) => total.add(line.refund_amount), new Decimal(0)),
+      points_refunded: pointsRefunded,
+      points_refund_value: pointsValue,
+      line_refunds: lineRefunds,
+      clawbacks,
+      unrecovered_clawback: unrecovered,
+      remaining
+    });
+  }
+
+  /**
+   * Explain why a discount changed when the kept items were repriced
+   */
+  async describeClawback(discountKey, recalculatedAmount, keptItems, context, pricingOptions) {
+    const voucherCode = discountKey.startsWith('Voucher_') ? discountKey.slice('Voucher_'.length) : null;
+    if (voucherCode && recalculatedAmount.isZero()) {
+      const validation = await this.validateDiscountCode(voucherCode, keptItems, context.customer, pricingOptions);
+      if (!validation.isValid) {
+        return `${validation.errorCode}: ${validation.error}`;
+      }
+    }
+
+    if (recalculatedAmount.isZero()) {
+      return 'Discount no longer applies to the kept items';
+    }
+    return 'Discount amount changed on the kept items';
+  }
+
+  /**
+   * Run every stage of the stacking policy over a fresh pricing state
+   * @param {Object} pipeline - { cartItems, customer, paymentInfo, context }
+   * @param {Map} excludedKeys - Discount keys to suppress, mapped to the reason
+   * @returns {Promise<Object>} Pricing state, see createPricingState
+   */
+  async runPricingPipeline(pipeline, excludedKeys = new Map()) {
+    const state = this.createPricingState(pipeline.cartItems, pipeline.context.rules, excludedKeys, pipeline.trace);
+    for (const stage of state.policy.stages) {
+      state.stage = stage;
+      await STAGE_HANDLERS[stage](this, state, pipeline);
+    }
+    state.stage = 'rounding';
+    this.roundOrderDiscounts(state);
+    return state;
+  }
+
+  /**
+   * With the 'order' rounding scope, round each discount's order total to the
+   * currency's minor unit once every stage has run, and reallocate it across
+   * the lines it was applied to
+   */
+  roundOrderDiscounts(state) {
+    if (state.pricing.rounding_scope !== 'order') return;
+
+    const unrounded = state.total;
+    Object.keys(state.appliedDiscounts).forEach(discountKey => {
+      const lineAmounts = state.lines.map(line => line.applied_discounts[discountKey] || new Decimal(0));
+      const rounded = roundAcrossLines(lineAmounts, state.currency, state.pricing.rounding_mode);
+      state.lines.forEach((line, index) => {
+        if (discountKey in line.applied_discounts) {
+          line.applied_discounts[discountKey] = rounded[index];
+          line.final_price = line.final_price.add(lineAmounts[index]).sub(rounded[index]);
+        }
+      });
+      state.appliedDiscounts[discountKey] = rounded.reduce((sum, amount) => sum.add(amount), new Decimal(0));
+    });
+    state.total = state.lines.reduce((sum, line) => sum.add(line.final_price), new Decimal(0));
+
+    if (!state.total.equals(unrounded)) {
+      this.traceStep(state, {
+        rule: 'order_rounding',
+        matched: true,
+        base_amount: unrounded,
+        applied: unrounded.sub(state.total),
+        reason: `Discounts rounded per order (${state.pricing.rounding_mode})`
+      });
+    }
+  }
+
+  /**
+   * Resolve 'best' exclusivity groups. When several members of a group were
+   * applied, the cart is repriced once per member with the other members
+   * suppressed, and the cheapest outcome is kept.
+   * @param {Object} pipeline - { cartItems, customer, paymentInfo, context }
+   * @param {Object} state - Pricing state of the unrestricted run
+   * @returns {Promise<Object>} Pricing state with every 'best' group resolved
+   */
+  async selectBestOfExclusivityGroups(pipeline, state) {
+    let best = state;
+
+    for (const group of state.policy.exclusivity_groups) {
+      if (group.selection !== 'best') continue;
+
+      const members = Object.keys(best.appliedDiscounts)
+        .filter(key => group.members.some(pattern => matchesDiscountPattern(pattern, key)));
+      if (members.length < 2) continue;
+
+      let winner = null;
+      for (const candidate of members) {
+        const excludedKeys = new Map(best.excludedKeys);
+        members.filter(key => key !== candidate).forEach(key => excludedKeys.set(
+          key,
+          `Not combinable with ${candidate} (exclusivity group '${group.name}' keeps the best offer)`
+        ));
+        const trial = await this.runPricingPipeline(pipeline, excludedKeys);
+        if (!winner || trial.total.lt(winner.total)) {
+          winner = trial;
+        }
+      }
+      best = winner;
+    }
+
+    return best;
+  }
+
+  /**
+   * Start pricing state for a cart: every line at MRP, nothing applied yet
+   * @param {Map} excludedKeys - Discount keys to suppress, mapped to the reason
+   * @param {boolean} trace - Whether to record every rule considered in state.trace (see traceStep)
+   * @returns {Object} { lines, total, appliedDiscounts, messages, suppressed, policy, pricing, currency, excludedKeys, cap,
+   *   stage, trace }
+   */
+  createPricingState(cartItems, rules, excludedKeys = new Map(), trace = false) {
+    const lines = cartItems.map(item => {
+      const price = item.product.base_price.mul(item.quantity);
+      return { original_price: price, applied_discounts: {}, final_price: price, price_basis: null };
+    });
+    const total = lines.reduce((sum, line) => sum.add(line.original_price), new Decimal(0));
+    const policy = rules.stackingPolicy;
+    const pricing = rules.pricingPolicy;
+    const currency = rules.currency || pricing.currency;
+
+    return {
+      lines,
+      total,
+      appliedDiscounts: {},
+      messages: [],
+      suppressed: [],
+      rejectedVouchers: [],
+      diagnostics: [],
+      policy,
+      pricing,
+      currency,
+      excludedKeys,
+      cap: getTotalDiscountCap(policy, total, currency, pricing.locale),
+      stage: null,
+      trace: trace ? [] : null
+    };
+  }
+
+  /**
+   * Record one pipeline step in the calculation trace (no-op unless tracing).
+   * A step says which rule was considered and whether it matched; for a matched
+   * rule, the amount it was computed on, the discount it came to, the cap that
+   * bound it and how much was actually applied. Rejected and suppressed rules
+   * carry the reason.
+   * @param {Object} state - Pricing state
+   * @param {Object} step - { rule, discount_key, line, matched, base_amount, discount, cap, applied, reason }
+   */
+  traceStep(state, step) {
+    if (!state.trace) return;
+
+    state.trace.push({
+      stage: state.stage,
+      rule: step.rule,
+      discount_key: step.discount_key ?? null,
+      line: step.line ?? null,
+      matched: step.matched ?? false,
+      base_amount: step.base_amount ?? null,
+      discount: step.discount ?? null,
+      cap: step.cap ?? null,
+      applied: step.applied ?? new Decimal(0),
+      reason: step.reason ?? null,
+      running_total: state.total
+    });
+  }
+
+  /**
+   * Whether a rule is active at the pricing time; a rule outside its schedule is
+   * traced as rejected
+   * @param {Object} step - Extra trace fields, e.g. { line }
+   */
+  isRuleActiveTraced(state, ruleId, rule, at, step = {}) {
+    const schedule = getScheduleStatus(rule, at);
+    if (schedule) {
+      this.traceStep(state, { ...step, rule: ruleId, reason: `Rule is ${schedule.message}` });
+    }
+    return !schedule;
+  }
+
+  /**
+   * Apply one discount to the pricing state, subject to the stacking policy.
+   * With the 'line' rounding scope, line amounts are first rounded to the
+   * currency's minor unit (see roundOrderDiscounts for 'order'). A discount blocked by an exclusivity group is skipped, and
+   * the part of a discount above the total discount cap is trimmed; both are
+   * recorded in state.suppressed.
+   * @param {Object} state - Pricing state
+   * @param {string} discountKey - Key of the discount in applied_discounts
+   * @param {Array<Decimal>} lineAmounts - Discount on each cart line
+   * @param {Object} message - Shopper-facing message, see createMessage
+   * @param {Object} details - How the discount was worked out, for the trace:
+   *   { rule, line, base_amount, cap } where cap is { type: 'max_discount', limit } when the rule's cap bound it
+   * @returns {boolean} Whether any of the discount was applied
+   */
+  applyDiscountToState(state, discountKey, lineAmounts, message, details = {}) {
+    let amounts = state.pricing.rounding_scope === 'line'
+      ? lineAmounts.map(lineAmount => roundMoney(lineAmount, state.currency, state.pricing.rounding_mode))
+      : lineAmounts;
+    let amount = amounts.reduce((sum, lineAmount) => sum.add(lineAmount), new Decimal(0));
+    const step = { rule: discountKey, ...details, discount_key: discountKey, matched: true, discount: amount };
+    if (amount.lte(0)) {
+      this.traceStep(state, { ...step, reason: 'Discount comes to zero' });
+      return false;
+    }
+
+    const exclusion = state.excludedKeys.get(discountKey);
+    const conflict = findExclusivityConflict(state.policy, discountKey, Object.keys(state.appliedDiscounts));
+    if (exclusion || conflict) {
+      const reason = exclusion || `Not combinable with ${conflict.applied} (exclusivity group '${conflict.group}')`;
+      state.suppressed.push({ discount: discountKey, amount, reason });
+      this.traceStep(state, { ...step, reason });
+      return false;
+    }
+
+    if (state.cap) {
+      const discountSoFar = Object.values(state.appliedDiscounts).reduce((sum, applied) => sum.add(applied), new Decimal(0));
+      const headroom = roundMoney(Decimal.max(state.cap.amount.sub(discountSoFar), 0), state.currency, 'down');
+      if (amount.gt(headroom)) {
+        const reason = `Total discount capped at ${state.cap.description}`;
+        state.suppressed.push({ discount: discountKey, amount: amount.sub(headroom), reason });
+        step.cap = { type: 'total_discount_cap', limit: state.cap.amount, description: state.cap.description };
+        step.reason = reason;
+        if (headroom.isZero()) {
+          this.traceStep(state, step);
+          return false;
+        }
+        amounts = allocateProportionally(headroom, amounts, getMinorDigits(state.currency));
+        amount = headroom;
+      }
+    }
+
+    amounts.forEach((lineAmount, index) => {
+      if (lineAmount.isZero()) return;
+      const line = state.lines[index];
+      line.applied_discounts[discountKey] = (line.applied_discounts[discountKey] || new Decimal(0)).add(lineAmount);
+      line.final_price = line.final_price.sub(lineAmount);
+    });
+    state.appliedDiscounts[discountKey] = (state.appliedDiscounts[discountKey] || new Decimal(0)).add(amount);
+    state.total = state.total.sub(amount);
+    this.traceStep(state, { ...step, applied: amount });
+    this.addMessage(state, message);
+    return true;
+  }
+
+  /**
+   * Prorate a cart-level discount across lines by their current totals, in the state's minor unit
+   * @param {Object} state - Pricing state; its lines hold the per-line running totals
+   * @param {Decimal} amount - Cart-level discount amount
+   * @param {Array<number>} lineIndexes - Lines sharing the discount (default: all lines)
+   * @returns {Array<Decimal>} Discount on each cart line
+   */
+  prorateAcrossLines(state, amount, lineIndexes = null) {
+    const { lines } = state;
+    const indexes = lineIndexes || lines.map((line, index) => index);
+    const shares = allocateProportionally(amount, indexes.map(index => lines[index].final_price), getMinorDigits(state.currency));
+    const lineAmounts = lines.map(() => new Decimal(0));
+    indexes.forEach((lineIndex, shareIndex) => {
+      lineAmounts[lineIndex] = shares[shareIndex];
+    });
+    return lineAmounts;
+  }
+
+  /**
+   * Brand and category stage.
+   * Each line first drops from MRP to the deeper of its sale price and its
+   * brand's minimum discount (see resolveBrandPricing). In 'compound' mode the category discount applies to the brand-discounted
+   * price; in 'additive' mode both are taken off the price the stage started with.
+   */
+  applyBrandCategoryStage(state, { cartItems, context }) {
+    const { rules, at } = context;
+    const additive = state.policy.brand_category_mode === 'additive';
+
+    cartItems.forEach((item, index) => {
+      const { product } = item;
+      const line = state.lines[index];
+      const stagePrice = line.final_price;
+      const lineOnly = amount => state.lines.map((other, otherIndex) => (otherIndex === index ? amount : new Decimal(0)));
+
+      // Apply brand discount: the deeper of the sale price and the brand's minimum off MRP
+      const brandRule = rules.brandDiscounts.get(product.brand);
+      const activeBrandRule = brandRule && this.isRuleActiveTraced(state, product.brand, brandRule, at, { line: index })
+        ? brandRule
+        : undefined;
+      const brandPricing = this.resolveBrandPricing(product, activeBrandRule, rules);
+      if (brandPricing) {
+        const discountAmount = Decimal.min(brandPricing.discount.mul(item.quantity), line.final_price);
+        const details = {
+          rule: brandPricing.basis === 'markdown' ? product.id : product.brand,
+          line: index,
+          base_amount: line.final_price
+        };
+        if (this.applyDiscountToState(state, brandPricing.key, lineOnly(discountAmount), brandPricing.message, details)) {
+          line.price_basis = brandPricing.basis;
+        }
+      }
+
+      // Apply category discount
+      const categoryRule = rules.categoryDiscounts.get(product.category);
+      if (categoryRule && this.isRuleActiveTraced(state, product.category, categoryRule, at, { line: index })) {
+        const base = additive ? stagePrice : line.final_price;
+        const discountAmount = Decimal.min(base.mul(categoryRule.percentage).div(100), line.final_price);
+        this.applyDiscountToState(state, `Category_${product.category}`, lineOnly(discountAmount),
+          this.createMessage('discount.category', { percentage: categoryRule.percentage, category: product.category }, rules),
+          { rule: product.category, line: index, base_amount: base });
+      }
+    });
+  }
+
+  /**
+   * Work out how far below MRP a product's price starts.
+   * A brand rule guarantees at least its percentage (or min_discount, if higher)
+   * off base_price. A markdown already in current_price that is at least as deep
+   * is kept instead and reported as 'Markdown'.
+   * @param {Product} product - Product being priced
+   * @param {Object} brandRule - Brand discount rule, if any
+   * @param {Object} rules - Rule set, used for the locale of messages
+   * @returns {Object|null} { key, discount, basis, message } per unit, where basis is
+   *   'markdown' or 'min_discount'; null when the product sells at MRP
+   */
+  resolveBrandPricing(product, brandRule, rules = this.rules) {
+    const markdown = Decimal.max(product.base_price.sub(product.current_price), 0);
+    const minimumPercentage = brandRule ? Math.max(brandRule.percentage, brandRule.min_discount ?? 0) : 0;
+    const minimum = product.base_price.mul(minimumPercentage).div(100);
+
+    if (markdown.gt(0) && markdown.gte(minimum)) {
+      const markdownPercentage = markdown.div(product.base_price).mul(100).toDecimalPlaces(0, Decimal.ROUND_DOWN);
+      return {
+        key: 'Markdown',
+        discount: markdown,
+        basis: 'markdown',
+        message: this.createMessage('discount.markdown', { percentage: markdownPercentage, brand: product.brand }, rules)
+      };
+    }
+    if (minimum.gt(0)) {
+      return {
+        key: `Brand_${product.brand}`,
+        discount: minimum,
+        basis: 'min_discount',
+        message: this.createMessage('discount.brand', { percentage: minimumPercentage, brand: product.brand }, rules)
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Buy X Get Y stage, priced on the lines' current totals
+   */
+  applyBuyXGetYStage(state, { cartItems, context }) {
+    const lineTotals = state.lines.map(line => line.final_price);
+    const results = this.applyBuyXGetYPromotions(cartItems, lineTotals, context.rules, context.at);
+
+    context.rules.bxgyPromotions.forEach((promotion, promotionId) => {
+      const result = results.find(({ key }) => key === `BxGy_${promotionId}`);
+      if (result) {
+        const { key, lineAmounts, message, baseAmount } = result;
+        this.applyDiscountToState(state, key, lineAmounts, message, { rule: promotionId, base_amount: baseAmount });
+      } else if (this.isRuleActiveTraced(state, promotionId, promotion, context.at)) {
+        this.traceStep(state, {
+          rule: promotionId,
+          reason: `Needs ${promotion.buy_quantity + promotion.get_quantity} matching units not used by another promotion`
+        });
+      }
+    });
+  }
+
+  /**
+   * Membership stage - customer segment discounts on the lines they target,
+   * taken off the lines' current totals and capped at max_discount
+   */
+  applyMembershipStage(state, { cartItems, customer, context }) {
+    context.rules.membershipDiscounts.forEach((rule, ruleId) => {
+      if (!this.isRuleActiveTraced(state, ruleId, rule, context.at)) return;
+
+      const missing = this.getMissingSegments(rule, customer, context.rules);
+      if (missing.length > 0) {
+        this.traceStep(state, { rule: ruleId, reason: `Customer does not meet: ${missing.join(', ')}` });
+        return;
+      }
+
+      const lineIndexes = cartItems
+        .map((item, index) => index)
+        .filter(index => this.matchesPromotionTarget(rule, cartItems[index].product));
+      if (lineIndexes.length === 0) {
+        this.traceStep(state, { rule: ruleId, reason: 'No eligible items in the cart' });
+        return;
+      }
+
+      const eligibleTotal = lineIndexes.reduce((total, index) => total.add(state.lines[index].final_price), new Decimal(0));
+      const discountAmount = eligibleTotal.mul(rule.percentage).div(100);
+      const actualDiscount = Decimal.min(discountAmount, rule.max_discount ?? discountAmount);
+      this.applyDiscountToState(state, `Membership_${ruleId}`,
+        this.prorateAcrossLines(state, actualDiscount, lineIndexes),
+        this.createMessage(...this.describeMembershipDiscount(rule), context.rules), {
+          rule: ruleId,
+          base_amount: eligibleTotal,
+          cap: describeRuleCap(discountAmount, actualDiscount, rule.max_discount)
+        });
+    });
+  }
+
+  /**
+   * Segment conditions of a membership rule the customer does not meet
+   * @param {Object} rules - Rule set, used for the locale of the conditions
+   * @returns {Array<string>} Unmet conditions, e.g. ['premium membership', 'tier gold or platinum']; empty when eligible
+   */
+  getMissingSegments(rule, customer, rules = this.rules) {
+    const missing = [];
+    if (rule.tiers && !rule.tiers.includes(customer.tier)) {
+      missing.push(this.translate('missing.tiers', { tiers: rule.tiers }, rules));
+    }
+    if (rule.premium_only && !customer.is_premium_member) {
+      missing.push(this.translate('missing.premium', {}, rules));
+    }
+    Object.entries(rule.customer_attributes || {}).forEach(([attribute, expected]) => {
+      const actual = customer.attributes?.[attribute] ?? customer[attribute];
+      const allowed = Array.isArray(expected) ? expected : [expected];
+      if (!allowed.includes(actual)) {
+        missing.push(this.translate('missing.attribute', { attribute, values: allowed }, rules));
+      }
+    });
+    return missing;
+  }
+
+  /**
+   * Message ID and parameters of the shopper-facing text for a membership discount
+   * @returns {Array} [id, params]
+   */
+  describeMembershipDiscount(rule) {
+    const segment = rule.premium_only
+      ? defineMessage('segment.premium')
+      : (rule.tiers ? defineMessage('segment.tiers', { tiers: rule.tiers }) : defineMessage('segment.eligible'));
+    const scope = [...(rule.brands || []), ...(rule.categories || [])];
+    return scope.length > 0
+      ? ['discount.membership_scoped', { percentage: rule.percentage, segment, scope }]
+      : ['discount.membership', { percentage: rule.percentage, segment }];
+  }
+
+  /**
+   * Cart threshold and slab promotion stage
+   * @param {string} stage - 'before_vouchers' or 'after_vouchers' (promotions default to before_vouchers)
+   */
+  applyCartPromotionStage(stage, state, { context }) {
+    context.rules.cartPromotions.forEach((promotion, promotionId) => {
+      if ((promotion.stage || 'before_vouchers') !== stage
+        || !this.isRuleActiveTraced(state, promotionId, promotion, context.at)) return;
+
+      const { discount, message, nudge, cap } = this.evaluateCartPromotion(promotion, state.total, context.rules);
+      if (discount.gt(0)) {
+        this.applyDiscountToState(state, `Cart_${promotionId}`, this.prorateAcrossLines(state, discount), message,
+          { rule: promotionId, base_amount: state.total, cap });
+      } else {
+        this.traceStep(state, { rule: promotionId, base_amount: state.total, reason: nudge?.text || 'No slab reached' });
+      }
+      this.addMessage(state, nudge);
+    });
+  }
+
+  /**
+   * Voucher stage.
+   * Every code the customer entered is validated. When codes conflict, the one
+   * with the larger discount is kept; rejected codes are recorded with the reason.
+   */
+  async applyVoucherStage(state, { cartItems, customer, context }) {
+    // For this implementation, voucher codes are passed via customer profile
+    const codes = this.getVoucherCodes(customer);
+    if (codes.length === 0) return;
+
+    // Price each valid code on its own against the cart as it stands
+    const candidates = [];
+    for (const [position, code] of codes.entries()) {
+      const { discount, error, errorCode, campaign } = await this.applyVoucherDiscount(
+        code, state.total, cartItems, customer,
+        { ...context, lineTotals: state.lines.map(line => line.final_price) }
+      );
+
+      if (discount.gt(0)) {
+        candidates.push({ code, position, discount, campaign });
+      } else if (error) {
+        // Report the voucher error and continue with other discounts
+        this.addMessage(state, this.createMessage('voucher.not_applied', { code }, context.rules));
+        state.rejectedVouchers.push({ code, error, errorCode, winner: null });
+        state.diagnostics.push(createDiagnostic('warning', errorCode, error, { voucher_code: code }));
+        this.traceStep(state, { rule: code, reason: `${errorCode}: ${error}` });
+      }
+    }
+
+    // Keep the largest discounts first, dropping codes that conflict with one already kept
+    const kept = [];
+    candidates
+      .sort((a, b) => b.discount.cmp(a.discount) || a.position - b.position)
+      .forEach(candidate => {
+        const conflict = kept
+          .map(winner => ({ winner, reason: this.getVoucherConflict(candidate.campaign, winner.campaign, context.rules) }))
+          .find(({ reason }) => reason);
+
+        if (!conflict) {
+          kept.push(candidate);
+          return;
+        }
+
+        const { winner, reason } = conflict;
+        const error = winner.discount.gt(candidate.discount)
+          ? this.translate('voucher.conflict_kept_larger', {
+            reason,
+            winner: winner.code,
+            winner_discount: winner.discount,
+            discount: candidate.discount
+          }, context.rules)
+          : this.translate('voucher.conflict_kept_first', { reason, winner: winner.code }, context.rules);
+        this.addMessage(state, this.createMessage('voucher.conflict_not_applied', { code: candidate.code, reason }, context.rules));
+        state.rejectedVouchers.push({ code: candidate.code, error, errorCode: 'VOUCHER_CONFLICT', winner: winner.code });
+        this.traceStep(state, {
+          rule: candidate.code,
+          matched: true,
+          discount: candidate.discount,
+          reason: `VOUCHER_CONFLICT: ${error}`
+        });
+      });
+
+    // Apply the kept codes in the order they were entered
+    for (const { code } of kept.sort((a, b) => a.position - b.position)) {
+      const { discount, message, lineIndexes, baseAmount, cap } = await this.applyVoucherDiscount(
+        code, state.total, cartItems, customer,
+        { ...context, lineTotals: state.lines.map(line => line.final_price) }
+      );
+      this.applyDiscountToState(state, `Voucher_${code}`, this.prorateAcrossLines(state, discount, lineIndexes), message,
+        { rule: code, base_amount: baseAmount, cap });
+    }
+  }
+
+  /**
+   * Voucher codes a customer entered, in order and without duplicates
+   */
+  getVoucherCodes(customer) {
+    const codes = [...(customer.voucherCodes || []), customer.voucherCode];
+    return [...new Set(codes.filter(Boolean))];
+  }
+
+  /**
+   * Why two vouchers cannot be used together.
+   * Vouchers of the same type never combine. Otherwise both must list each other
+   * (or '*') in combinable_with, and neither may list the other in exclusive_with.
+   * Generated codes are compared as their campaign.
+   * @returns {Object|null} Reason as a shopper-facing message fragment, or null when they can be combined
+   */
+  getVoucherConflict(code, otherCode, rules = this.rules) {
+    const voucher = rules.voucherCodes.get(code);
+    const other = rules.voucherCodes.get(otherCode);
+    const type = voucher.type || 'discount';
+
+    if (type === (other.type || 'discount')) {
+      return defineMessage('voucher.conflict_same_type', { type });
+    }
+    if (voucher.exclusive_with?.includes(otherCode) || other.exclusive_with?.includes(code)) {
+      return defineMessage('voucher.conflict_exclusive', { code, other: otherCode });
+    }
+
+    const allows = (rule, candidate) => !!rule.combinable_with
+      && (rule.combinable_with.includes('*') || rule.combinable_with.includes(candidate));
+    if (!allows(voucher, otherCode) || !allows(other, code)) {
+      return defineMessage('voucher.conflict_not_combinable', { code, other: otherCode });
+    }
+    return null;
+  }
+
+  /**
+   * Bank offer stage
+   */
+  applyBankStage(state, { cartItems, paymentInfo, context }) {
+    if (!paymentInfo || !paymentInfo.bank_name) return;
+
+    // A post-tax bank offer discounts the amount payable, GST included
+    const { rules } = context;
+    const amount = isTaxEnabled(rules) && rules.taxPolicy.bank_offers === 'post_tax'
+      ? state.total.add(calculateTax(cartItems, state.lines, rules, state.currency).tax_amount)
+      : state.total;
+
+    const { discount, message, offerId, error, errorCode, cap } = this.applyBankOffer(paymentInfo, amount, rules, context.at);
+    if (discount.gt(0)) {
+      this.applyDiscountToState(state, `Bank_${offerId}`,
+        this.prorateAcrossLines(state, Decimal.min(discount, state.total)), message,
+        { rule: offerId, base_amount: amount, cap });
+    } else if (error) {
+      this.traceStep(state, { rule: paymentInfo.bank_name, base_amount: amount, reason: `${errorCode}: ${error}` });
+      if (errorCode !== 'NO_BANK_OFFER') {
+        this.addMessage(state, this.createMessage('bank.not_applied', { reason: error }, rules));
+        state.diagnostics.push(createDiagnostic('warning', errorCode, error, { bank: paymentInfo.bank_name }));
+      }
+    }
+  }
+
+  /**
+   * Apply brand and category discounts on their own
+   * @returns {Object} { total, discounts, messages, lineTotals, lineDiscounts } - lineTotals holds each cart
+   *   item's discounted total and lineDiscounts the discounts applied to it
+   */
+  applyBrandAndCategoryDiscounts(cartItems, rules = this.rules, at = this.clock()) {
+    const state = this.createPricingState(cartItems, rules);
+    this.applyBrandCategoryStage(state, { cartItems, context: { rules, at } });
+
+    return {
+      total: state.total,
+      discounts: state.appliedDiscounts,
+      messages: state.messages.map(message => message.text),
+      lineTotals: state.lines.map(line => line.final_price),
+      lineDiscounts: state.lines.map(line => line.applied_discounts)
+    };
+  }
+
+  /**
+   * Evaluate Buy X Get Y promotions.
+   * Matching cart lines are expanded into units. For every buy_quantity + get_quantity
+   * units, get_quantity units are discounted by get_percentage (default 100, i.e. free).
+   * free_unit_policy picks which units are discounted: the cheapest (default) or the
+   * most expensive. A unit takes part in at most one promotion; promotions are applied
+   * in rule order.
+   * @param {Array} cartItems - Cart items
+   * @param {Array<Decimal>} lineTotals - Per-line totals the units are priced from
+   * @returns {Array<Object>} [{ key, lineAmounts, message, baseAmount }] - one entry per promotion that applies;
+   *   baseAmount is the value of the units the promotion used
    */
-  async calculateCartDiscounts(cartItems, customer, paymentInfo = null) {
-    try {
-      // Input validation
-      if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
-        throw new Error('Cart items are required and must be a non-empty array');
-      }
-      
-      if (!customer || typeof customer !== 'object') {
-        throw new Error('Customer profile is required');
-      }
+  applyBuyXGetYPromotions(cartItems, lineTotals, rules = this.rules, at = this.clock()) {
+    const results = [];
 
-      // Calculate original total
-      const originalTotal = cartItems.reduce((total, item) => {
-        if (!item.product || !item.product.base_price || !item.quantity) {
-          throw new Error('Invalid cart item: missing product or quantity information');
-        }
-        return total.add(item.product.base_price.mul(item.quantity));
-      }, new Decimal(0));
+    // Units are counted per line rather than listed one by one: the units of a line share a price
+    const lines = cartItems.map((item, index) => ({
+      index,
+      product: item.product,
+      price: lineTotals[index].div(item.quantity),
+      remaining: item.quantity
+    }));
 
-      let currentTotal = new Decimal(originalTotal);
-      const appliedDiscounts = {};
-      const discountMessages = [];
+    rules.bxgyPromotions.forEach((promotion, promotionId) => {
+      if (!isRuleActive(promotion, at)) return;
 
-      // Step 1: Apply brand and category discounts (already in current_price)
-      const { total: afterBrandCategory, discounts: brandCategoryDiscounts, messages: bcMessages } 
-        = this.applyBrandAndCategoryDiscounts(cartItems);
-      
-      currentTotal = afterBrandCategory;
-      Object.assign(appliedDiscounts, brandCategoryDiscounts);
-      discountMessages.push(...bcMessages);
-
-      // Step 2: Apply voucher codes (if any in customer profile)
-      // For this implementation, assuming voucher code is passed via customer profile
-      if (customer.voucherCode) {
-        const { total: afterVoucher, discount, message, error } 
-          = await this.applyVoucherDiscount(customer.voucherCode, currentTotal, cartItems, customer);
-        
-        if (discount.gt(0)) {
-          currentTotal = afterVoucher;
-          appliedDiscounts[`Voucher_${customer.voucherCode}`] = discount;
-          discountMessages.push(message);
-        } else if (error) {
-          // Log voucher error but continue with other discounts
-          console.warn(`Voucher validation failed: ${error}`);
-          discountMessages.push(`Voucher ${customer.voucherCode} could not be applied`);
-        }
-      }
+      const {
+        buy_quantity: buy,
+        get_quantity: get,
+        get_percentage: percentage = 100,
+        free_unit_policy: policy = 'cheapest'
+      } = promotion;
 
-      // Step 3: Apply bank offers
-      if (paymentInfo && paymentInfo.bank_name) {
-        const { total: afterBank, discount, message } 
-          = this.applyBankOffer(paymentInfo, currentTotal);
-        
-        if (discount.gt(0)) {
-          currentTotal = afterBank;
-          appliedDiscounts[`Bank_${paymentInfo.bank_name}`] = discount;
-          discountMessages.push(message);
-        }
-      }
+      const eligible = lines.filter(line => line.remaining > 0 && this.matchesPromotionTarget(promotion, line.product));
+      const unitCount = eligible.reduce((count, line) => count + line.remaining, 0);
+      const groups = Math.floor(unitCount / (buy + get));
+      if (groups === 0) return;
 
-      return new DiscountedPrice({
-        original_price: originalTotal,
-        final_price: currentTotal,
-        applied_discounts: appliedDiscounts,
-        message: discountMessages.join(' | ')
+      // Order lines so the paid units come first and the discounted ones last
+      const direction = policy === 'most_expensive' ? 1 : -1;
+      const ordered = [...eligible].sort((a, b) => direction * a.price.cmp(b.price) || a.index - b.index);
+      const paidUnits = takeUnits(ordered, groups * buy);
+      const discountedUnits = takeUnits([...ordered].reverse(), groups * get);
+
+      const lineAmounts = cartItems.map(() => new Decimal(0));
+      discountedUnits.forEach(({ line, quantity }) => {
+        lineAmounts[line.index] = lineAmounts[line.index].add(line.price.mul(quantity).mul(percentage).div(100));
       });
 
-    } catch (error) {
-      console.error('Error calculating cart discounts:', error);
-      
-      // Provide specific error messages based on error type
-      if (error.message.includes('Cart items are required')) {
-        throw new Error('Invalid input: ' + error.message);
-      } else if (error.message.includes('Customer profile is required')) {
-        throw new Error('Invalid input: ' + error.message);
-      } else if (error.message.includes('Invalid cart item')) {
-        throw new Error('Invalid cart data: ' + error.message);
-      } else {
-        throw new Error(`Failed to calculate discounts: ${error.message}`);
-      }
-    }
+      results.push({
+        key: `BxGy_${promotionId}`,
+        lineAmounts,
+        message: this.createMessage(percentage === 100 ? 'discount.bxgy_free' : 'discount.bxgy_percentage',
+          { buy, get, percentage, promotion: promotionId }, rules),
+        baseAmount: [...paidUnits, ...discountedUnits]
+          .reduce((total, { line, quantity }) => total.add(line.price.mul(quantity)), new Decimal(0))
+      });
+    });
+
+    return results;
   }
 
   /**
-   * Apply brand and category discounts
+   * Evaluate a cart-value threshold or slab promotion.
+   * The highest slab whose min_order_value the order value reaches applies,
+   * capped at max_discount. The nudge tells the shopper how much more to add
+   * to reach the next slab.
+   * @param {Object} promotion - Cart promotion rule
+   * @param {Decimal} orderValue - Running cart total at the promotion's stage
+   * @param {Object} rules - Rule set, used for the currency and locale of messages
+   * @returns {Object} { discount, message, nudge, cap } - message and nudge are shopper-facing messages
+   *   (see createMessage) or null; cap is set when max_discount bound the discount
    */
-  applyBrandAndCategoryDiscounts(cartItems) {
-    let total = new Decimal(0);
-    const discounts = {};
-    const messages = [];
+  evaluateCartPromotion(promotion, orderValue, rules = this.rules) {
+    const slabs = [...promotion.slabs].sort((a, b) => a.min_order_value - b.min_order_value);
+    const reached = slabs.filter(slab => orderValue.gte(slab.min_order_value)).pop();
+    const next = slabs.find(slab => orderValue.lt(slab.min_order_value));
 
-    cartItems.forEach(item => {
-      const { product, quantity } = item;
-      let itemPrice = product.base_price;
-      
-      // Apply brand discount
-      const brandDiscount = this.brandDiscounts.get(product.brand);
-      if (brandDiscount) {
-        const discountAmount = itemPrice.mul(brandDiscount.percentage).div(100);
-        itemPrice = itemPrice.sub(discountAmount);
-        
-        const totalBrandDiscount = discountAmount.mul(quantity);
-        const discountKey = `Brand_${product.brand}`;
-        discounts[discountKey] = (discounts[discountKey] || new Decimal(0)).add(totalBrandDiscount);
-        
-        if (!messages.find(m => m.includes(product.brand))) {
-          messages.push(`${brandDiscount.percentage}% off on ${product.brand}`);
-        }
-      }
+    let discount = new Decimal(0);
+    let message = null;
+    let cap = null;
+    if (reached) {
+      const slabDiscount = reached.flat_amount !== undefined
+        ? new Decimal(reached.flat_amount)
+        : orderValue.mul(reached.percentage).div(100);
+      discount = Decimal.min(slabDiscount, promotion.max_discount ?? slabDiscount, orderValue);
+      cap = describeRuleCap(Decimal.min(slabDiscount, orderValue), discount, promotion.max_discount);
+      message = this.createMessage('discount.cart_slab', {
+        reward: this.describeSlabReward(reached),
+        min_order_value: reached.min_order_value
+      }, rules);
+    }
 
-      // Apply category discount
-      const categoryDiscount = this.categoryDiscounts.get(product.category);
-      if (categoryDiscount) {
-        const discountAmount = itemPrice.mul(categoryDiscount.percentage).div(100);
-        itemPrice = itemPrice.sub(discountAmount);
-        
-        const totalCategoryDiscount = discountAmount.mul(quantity);
-        const discountKey = `Category_${product.category}`;
-        discounts[discountKey] = (discounts[discountKey] || new Decimal(0)).add(totalCategoryDiscount);
-        
-        if (!messages.find(m => m.includes(product.category))) {
-          messages.push(`${categoryDiscount.percentage}% off on ${product.category}`);
-        }
-      }
+    const nudge = next
+      ? this.createMessage('nudge.cart_slab', {
+        amount: new Decimal(next.min_order_value).sub(orderValue),
+        reward: this.describeSlabReward(next)
+      }, rules)
+      : null;
 
-      total = total.add(itemPrice.mul(quantity));
-    });
+    return { discount, message, nudge, cap };
+  }
+
+  /**
+   * Shopper-facing message fragment for a slab reward
+   */
+  describeSlabReward(slab) {
+    return slab.flat_amount !== undefined
+      ? defineMessage('reward.flat', { amount: slab.flat_amount })
+      : defineMessage('reward.percentage', { percentage: slab.percentage });
+  }
 
-    return { total, discounts, messages };
+  /**
+   * Whether a product is covered by a promotion's brands, categories and product_ids
+   */
+  matchesPromotionTarget(promotion, product) {
+    return (!promotion.brands || promotion.brands.includes(product.brand))
+      && (!promotion.categories || promotion.categories.includes(product.category))
+      && (!promotion.product_ids || promotion.product_ids.includes(product.id));
   }
 
   /**
    * Apply voucher discount
+   * Restricted vouchers only discount the eligible cart lines.
+   * @param {Object} options - Pricing options plus lineTotals, the per-line totals after brand/category discounts
+   * @returns {Object} { total, discount, message, error, lineIndexes, baseAmount, cap } - lineIndexes lists the
+   *   discounted cart lines (null when the voucher covers the whole cart), baseAmount is the amount the
+   *   percentage was taken of and cap is set when max_discount bound the discount
    */
-  async applyVoucherDiscount(voucherCode, currentTotal, cartItems, customer) {
-    const voucher = this.voucherCodes.get(voucherCode);
-    
-    if (!voucher) {
-      return { total: currentTotal, discount: new Decimal(0), message: '' };
-    }
+  async applyVoucherDiscount(voucherCode, currentTotal, cartItems, customer, options = {}) {
+    const { lineTotals = null, ...pricingOptions } = options;
+    const context = this.createPricingContext(pricingOptions);
+    const { rules } = context;
 
     // Validate voucher
-    const validation = await this.validateDiscountCode(voucherCode, cartItems, customer);
+    const validation = await this.validateDiscountCode(voucherCode, cartItems, customer, context);
     if (!validation.isValid) {
       return { 
         total: currentTotal, 
         discount: new Decimal(0), 
-        message: '',
-        error: validation.error
+        message: null,
+        error: validation.error,
+        errorCode: validation.errorCode
       };
     }
+    const voucher = rules.voucherCodes.get(validation.campaign);
+
+    let discountBase = currentTotal;
+    let lineIndexes = null;
+    if (this.isRestrictedVoucher(voucher)) {
+      lineIndexes = validation.eligibleItemIndexes;
+      const lines = lineTotals || this.applyBrandAndCategoryDiscounts(cartItems, rules, context.at).lineTotals;
+      discountBase = validation.eligibleItemIndexes
+        .reduce((total, index) => total.add(lines[index]), new Decimal(0));
+    }
 
-    const discountAmount = currentTotal.mul(voucher.percentage).div(100);
+    const discountAmount = discountBase.mul(voucher.percentage).div(100);
     const actualDiscount = Decimal.min(discountAmount, voucher.max_discount || discountAmount);
     const finalTotal = currentTotal.sub(actualDiscount);
 
+    const messageId = discountBase.equals(currentTotal) ? 'discount.voucher' : 'discount.voucher_eligible_items';
     return {
       total: finalTotal,
       discount: actualDiscount,
-      message: `${voucher.percentage}% off with ${voucherCode}`
+      message: this.createMessage(messageId, { percentage: voucher.percentage, code: voucherCode }, rules),
+      lineIndexes,
+      baseAmount: discountBase,
+      cap: describeRuleCap(discountAmount, actualDiscount, voucher.max_discount),
+      campaign: validation.campaign
     };
   }
 
   /**
-   * Apply bank offer discount
+   * Apply the best bank offer the payment qualifies for.
+   * Offers are keyed by bank name, or by an offer ID with a bank_name field so one
+   * bank can run several offers. An offer may also require a card type, card
+   * network, BIN range, EMI tenure and minimum transaction value.
+   * @returns {Object} { total, discount, message, offerId, cap, error, errorCode } - cap is set when the
+   *   offer's max_discount bound the discount; error and errorCode say why no offer applied
    */
-  applyBankOffer(paymentInfo, currentTotal) {
-    const bankOffer = this.bankOffers.get(paymentInfo.bank_name);
-    
-    if (!bankOffer || paymentInfo.method !== 'CARD') {
-      return { total: currentTotal, discount: new Decimal(0), message: '' };
+  applyBankOffer(paymentInfo, currentTotal, rules = this.rules, at = this.clock()) {
+    const offers = [...rules.bankOffers].filter(([offerId, offer]) => (offer.bank_name || offerId) === paymentInfo.bank_name);
+    if (offers.length === 0) {
+      return {
+        total: currentTotal,
+        discount: new Decimal(0),
+        message: null,
+        offerId: null,
+        error: this.translate('bank.no_offer', { bank: paymentInfo.bank_name }, rules),
+        errorCode: 'NO_BANK_OFFER'
+      };
     }
 
-    const discountAmount = currentTotal.mul(bankOffer.percentage).div(100);
-    const actualDiscount = Decimal.min(discountAmount, bankOffer.max_discount || discountAmount);
-    const finalTotal = currentTotal.sub(actualDiscount);
+    let best = null;
+    let rejection = null;
+    offers.forEach(([offerId, offer]) => {
+      const ineligible = this.checkBankOfferEligibility(offer, paymentInfo, currentTotal, at, rules);
+      if (ineligible) {
+        rejection = rejection || ineligible;
+        return;
+      }
 
+      const discountAmount = currentTotal.mul(offer.percentage).div(100);
+      const actualDiscount = Decimal.min(discountAmount, offer.max_discount || discountAmount);
+      if (!best || actualDiscount.gt(best.discount)) {
+        best = { offerId, offer, discount: actualDiscount, cap: describeRuleCap(discountAmount, actualDiscount, offer.max_discount) };
+      }
+    });
+
+    if (!best) {
+      return { total: currentTotal, discount: new Decimal(0), message: null, offerId: null, ...rejection };
+    }
+
+    const { offerId, offer, discount, cap } = best;
+    const card = offer.card_types
+      ? defineMessage('card.types', { card_types: offer.card_types.map(type => type.toLowerCase()) })
+      : defineMessage('card.any');
     return {
-      total: finalTotal,
-      discount: actualDiscount,
-      message: `${bankOffer.percentage}% instant discount on ${paymentInfo.bank_name} card`
+      total: currentTotal.sub(discount),
+      discount,
+      message: this.createMessage(offer.min_emi_tenure_months ? 'discount.bank_emi' : 'discount.bank', {
+        percentage: offer.percentage,
+        bank: paymentInfo.bank_name,
+        card,
+        months: offer.min_emi_tenure_months
+      }, rules),
+      offerId,
+      cap,
+      error: null,
+      errorCode: null
+    };
+  }
+
+  /**
+   * Check a payment against one bank offer's conditions
+   * @param {Object} offer - Bank offer rule
+   * @param {PaymentInfo} paymentInfo - Payment details
+   * @param {Decimal} amount - Transaction amount at the bank stage
+   * @param {Date} at - Pricing time
+   * @param {Object} rules - Rule set, used for the currency and locale of messages
+   * @returns {Object|null} { error, errorCode } when the payment does not qualify
+   */
+  checkBankOfferEligibility(offer, paymentInfo, amount, at, rules = this.rules) {
+    const bank = paymentInfo.bank_name;
+    const schedule = getScheduleStatus(offer, at);
+    if (schedule) {
+      return {
+        error: this.translate('bank.not_active', { bank, schedule: describeSchedule(schedule) }, rules),
+        errorCode: 'OFFER_NOT_ACTIVE'
+      };
+    }
+
+    if (paymentInfo.method !== 'CARD') {
+      return { error: this.translate('bank.card_only', { bank }, rules), errorCode: 'PAYMENT_METHOD_NOT_ELIGIBLE' };
+    }
+
+    if (offer.card_types && !offer.card_types.includes(paymentInfo.card_type?.toUpperCase())) {
+      return {
+        error: this.translate('bank.card_types', { bank, card_types: offer.card_types.map(type => type.toLowerCase()) }, rules),
+        errorCode: 'CARD_TYPE_NOT_ELIGIBLE'
+      };
+    }
+
+    if (offer.card_networks
+      && !offer.card_networks.some(network => network.toUpperCase() === paymentInfo.card_network?.toUpperCase())) {
+      return {
+        error: this.translate('bank.card_networks', { bank, card_networks: offer.card_networks }, rules),
+        errorCode: 'CARD_NETWORK_NOT_ELIGIBLE'
+      };
+    }
+
+    if (offer.bin_ranges && !offer.bin_ranges.some(range => isBinInRange(paymentInfo.card_bin, range))) {
+      return { error: this.translate('bank.bin', { bank }, rules), errorCode: 'BIN_NOT_ELIGIBLE' };
+    }
+
+    if (offer.min_emi_tenure_months && !(paymentInfo.emi_tenure_months >= offer.min_emi_tenure_months)) {
+      return {
+        error: this.translate('bank.emi', { bank, months: offer.min_emi_tenure_months }, rules),
+        errorCode: 'EMI_TENURE_NOT_MET'
+      };
+    }
+
+    if (offer.min_transaction_value && amount.lt(offer.min_transaction_value)) {
+      return {
+        error: this.translate('bank.min_transaction', { bank, min: offer.min_transaction_value, amount }, rules),
+        errorCode: 'MIN_TRANSACTION_NOT_MET'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Work out the best cashback offer for a UPI or wallet payment.
+   * Cashback is a flat amount or a percentage of the payable amount (capped at
+   * max_cashback), credited to the wallet or back to the paying instrument
+   * (SOURCE, the default) credit_after_hours after payment.
+   * @param {PaymentInfo} paymentInfo - Payment details; provider names the UPI app or wallet
+   * @param {Decimal} payableAmount - Amount charged to the payment method, after all instant discounts and points
+   * @returns {Object} { cashback, message, error, errorCode } - cashback is
+   *   { offer, amount, provider, credit_to, expected_credit_at } or null with the reason in error
+   */
+  calculateCashback(paymentInfo, payableAmount, rules = this.rules, at = this.clock()) {
+    let best = null;
+    let rejection = null;
+
+    rules.cashbackOffers.forEach((offer, offerId) => {
+      if (!offer.payment_methods.includes(paymentInfo.method)) return;
+
+      const ineligible = this.checkCashbackEligibility(offerId, offer, paymentInfo, payableAmount, at, rules);
+      if (ineligible) {
+        rejection = rejection || ineligible;
+        return;
+      }
+
+      const amount = roundMoney(offer.flat_amount !== undefined
+        ? Decimal.min(offer.flat_amount, payableAmount)
+        : Decimal.min(payableAmount.mul(offer.percentage).div(100), offer.max_cashback ?? payableAmount),
+      rules.currency || rules.pricingPolicy.currency, rules.pricingPolicy.rounding_mode);
+      if (amount.gt(0) && (!best || amount.gt(best.amount))) {
+        best = { offerId, offer, amount };
+      }
+    });
+
+    if (!best) {
+      return {
+        cashback: null,
+        message: null,
+        ...(rejection || {
+          error: this.translate('cashback.no_offer', { method: paymentInfo.method }, rules),
+          errorCode: 'NO_CASHBACK_OFFER'
+        })
+      };
+    }
+
+    const { offerId, offer, amount } = best;
+    const creditTo = offer.credit_to || 'SOURCE';
+    const expectedCreditAt = new Date(at.getTime() + (offer.credit_after_hours || 0) * 60 * 60 * 1000);
+    const instrumentId = `instrument.${paymentInfo.provider ? 'provider_' : ''}${creditTo === 'WALLET' ? 'wallet' : 'account'}`;
+    const instrument = defineMessage(instrumentId, { provider: paymentInfo.provider, method: paymentInfo.method });
+
+    return {
+      cashback: {
+        offer: offerId,
+        amount,
+        provider: paymentInfo.provider,
+        credit_to: creditTo,
+        expected_credit_at: expectedCreditAt
+      },
+      message: this.createMessage(offer.credit_after_hours ? 'cashback.credit_within' : 'cashback.credit', {
+        amount,
+        instrument,
+        hours: offer.credit_after_hours
+      }, rules),
+      error: null,
+      errorCode: null
+    };
+  }
+
+  /**
+   * Work out loyalty points burn and earn for a priced cart.
+   * Up to customer.redeemPoints are redeemed at point_value each, limited by the
+   * customer's balance and by max_redeem_percentage of the amount payable.
+   * Points are earned at earn_rate per rupee on what is left to pay, with the
+   * highest matching brand or category multiplier per line. Burn and earn both
+   * work from the amount payable, GST included when the cart is taxed.
+   * @param {Object} state - Pricing state after all discounts
+   * @param {Object} tax - Result of calculateTax, or null when the rule set does not tax the cart
+   * @returns {Promise<Object|null>} { requested_points, redeemed_points, redeemed_value, earned_points },
+   *   or null when the rule set has no loyalty program
+   */
+  async calculateLoyalty(state, cartItems, customer, context, tax = null) {
+    const program = context.rules.loyaltyProgram;
+    if (program.point_value == null && program.earn_rate == null) {
+      return null;
+    }
+    const payable = tax ? tax.grand_total : state.total;
+
+    const requested = customer.redeemPoints || 0;
+    let redeemed = 0;
+    if (requested > 0 && program.point_value) {
+      const balance = context.checkUsageLimits ? await this.loyaltyLedger.getBalance(customer.id, context.orderId) : requested;
+      const maxValue = payable.mul(program.max_redeem_percentage).div(100);
+      const maxPoints = maxValue.div(program.point_value).floor().toNumber();
+      redeemed = Math.min(requested, balance, maxPoints);
+
+      if (program.min_redeem_points && redeemed < program.min_redeem_points) {
+        this.addMessage(state, this.createMessage('loyalty.min_points', { points: program.min_redeem_points }, context.rules));
+        redeemed = 0;
+      } else if (redeemed > 0) {
+        this.addMessage(state, this.createMessage(redeemed < requested ? 'loyalty.redeemed_partial' : 'loyalty.redeemed', {
+          points: redeemed,
+          amount: new Decimal(redeemed).mul(program.point_value),
+          requested
+        }, context.rules));
+      }
+    }
+    const redeemedValue = new Decimal(redeemed).mul(program.point_value || 0);
+
+    let earned = 0;
+    if (program.earn_rate) {
+      // Split what is left to pay across the lines by their GST-inclusive totals
+      const lineTotals = state.lines.map((line, index) => (tax ? line.final_price.add(tax.lines[index].tax_amount) : line.final_price));
+      const leftToPay = allocateProportionally(payable.sub(redeemedValue), lineTotals, getMinorDigits(context.currency));
+      const points = cartItems.reduce((total, item, index) => {
+        const multiplier = Math.max(
+          program.brand_earn_multipliers[item.product.brand] ?? 1,
+          program.category_earn_multipliers[item.product.category] ?? 1
+        );
+        return total.add(leftToPay[index].mul(program.earn_rate).mul(multiplier));
+      }, new Decimal(0));
+      earned = Math.max(points.floor().toNumber(), 0);
+      if (earned > 0) {
+        this.addMessage(state, this.createMessage('loyalty.earned', { points: earned }, context.rules));
+      }
+    }
+
+    return {
+      requested_points: requested,
+      redeemed_points: redeemed,
+      redeemed_value: redeemedValue,
+      earned_points: earned
     };
   }
 
+  /**
+   * Check a payment against one cashback offer's conditions
+   * @returns {Object|null} { error, errorCode } when the payment does not qualify
+   */
+  checkCashbackEligibility(offerId, offer, paymentInfo, payableAmount, at, rules = this.rules) {
+    const schedule = getScheduleStatus(offer, at);
+    if (schedule) {
+      return {
+        error: this.translate('cashback.not_active', { offer: offerId, schedule: describeSchedule(schedule) }, rules),
+        errorCode: 'OFFER_NOT_ACTIVE'
+      };
+    }
+
+    if (offer.providers
+      && !offer.providers.some(provider => provider.toUpperCase() === paymentInfo.provider?.toUpperCase())) {
+      return {
+        error: this.translate('cashback.providers', { offer: offerId, providers: offer.providers }, rules),
+        errorCode: 'PROVIDER_NOT_ELIGIBLE'
+      };
+    }
+
+    if (offer.min_transaction_value && payableAmount.lt(offer.min_transaction_value)) {
+      return {
+        error: this.translate('cashback.min_transaction', {
+          offer: offerId,
+          min: offer.min_transaction_value,
+          amount: payableAmount
+        }, rules),
+        errorCode: 'MIN_TRANSACTION_NOT_MET'
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Validate discount code with detailed error messages
    * @param {string} code - Discount code to validate
    * @param {Array} cartItems - Cart items for validation
    * @param {Object} customer - Customer profile
-   * @returns {Object} Validation result with detailed error message
+   * @param {Object} options - Pricing options, see createPricingContext; `locale` sets the language of the error
+   * @returns {Object} Validation result with detailed error message. When validation itself fails, errorCode
+   *   is the DiscountError's code (SYSTEM_ERROR for anything else) and diagnostics holds the failure
    */
-  async validateDiscountCode(code, cartItems, customer) {
+  async validateDiscountCode(code, cartItems, customer, options = {}) {
+    let rules = this.rules;
     try {
-      const voucher = this.voucherCodes.get(code);
-      
-      if (!voucher) {
-        return { 
-          isValid: false, 
-          error: `Voucher code '${code}' not found`,
-          errorCode: 'VOUCHER_NOT_FOUND'
+      const context = this.createPricingContext({ currency: this.getCartCurrency(cartItems), ...options });
+      const { at, checkUsageLimits, orderId } = context;
+      rules = context.rules;
+      const resolved = await this.resolveVoucherCode(code, rules);
+      if (resolved.error) {
+        return {
+          isValid: false,
+          error: resolved.error,
+          errorCode: resolved.errorCode
         };
       }
+      const { campaign, voucher, generated } = resolved;
 
-      // Check expiry
-      if (voucher.valid_until && new Date() > voucher.valid_until) {
-        return { 
-          isValid: false, 
-          error: `Voucher code '${code}' has expired on ${voucher.valid_until.toDateString()}`,
-          errorCode: 'VOUCHER_EXPIRED'
+      // Check the voucher's schedule
+      const schedule = getScheduleStatus(voucher, at);
+      if (schedule) {
+        return {
+          isValid: false,
+          ...this.describeVoucherSchedule(code, voucher, schedule, rules)
+        };
+      }
+
+      // Check customer tier
+      if (voucher.eligible_tiers && !voucher.eligible_tiers.includes(customer?.tier)) {
+        return {
+          isValid: false,
+          error: this.translate('voucher.tier', { code, tiers: voucher.eligible_tiers }, rules),
+          errorCode: 'TIER_NOT_ELIGIBLE'
+        };
+      }
+
+      // Check brand, category and product restrictions line by line
+      const eligibleItemIndexes = [];
+      let firstRejection = null;
+      cartItems.forEach((item, index) => {
+        const rejection = this.checkVoucherItemEligibility(voucher, item.product);
+        if (rejection) {
+          firstRejection = firstRejection || rejection;
+        } else {
+          eligibleItemIndexes.push(index);
+        }
+      });
+
+      if (eligibleItemIndexes.length === 0) {
+        return {
+          isValid: false,
+          error: this.translate('voucher.no_eligible_items', { code, reason: firstRejection.reason }, rules),
+          errorCode: firstRejection.errorCode
         };
       }
 
-      // Check minimum order value against original cart value
-      const cartTotal = cartItems.reduce((total, item) => {
+      // Check minimum order value against original value of eligible items
+      const cartTotal = eligibleItemIndexes.reduce((total, index) => {
+        const item = cartItems[index];
         return total.add(item.product.base_price.mul(item.quantity));
       }, new Decimal(0));
 
       if (voucher.min_order_value && cartTotal.lt(voucher.min_order_value)) {
         return { 
           isValid: false, 
-          error: `Minimum order value of ₹${voucher.min_order_value} required. Current cart total: ₹${cartTotal}`,
+          error: this.translate('voucher.min_order', { min: voucher.min_order_value, amount: cartTotal }, rules),
           errorCode: 'MIN_ORDER_NOT_MET'
         };
       }
 
-      // Additional validations can be added here:
-      // - Brand exclusions
-      // - Category restrictions  
-      // - Customer tier requirements
-      // - Usage limits per customer
+      // Check global and per-customer usage limits; a generated code can be used once
+      const limitError = checkUsageLimits
+        && await this.ledger.checkLimits(code, getUsageLimits(voucher, generated), customer?.id, orderId);
+      if (limitError) {
+        return { isValid: false, ...this.describeUsageLimit(code, voucher, generated, limitError, rules) };
+      }
 
       return { 
         isValid: true, 
         error: null,
-        errorCode: null
+        errorCode: null,
+        eligibleItemIndexes,
+        campaign
       };
 
     } catch (error) {
-      console.error('Error validating discount code:', error);
       return { 
         isValid: false, 
-        error: `System error while validating voucher: ${error.message}`,
-        errorCode: 'SYSTEM_ERROR'
+        error: this.translate('voucher.system_error', { error: error.message }, rules),
+        errorCode: error instanceof DiscountError ? error.code : 'SYSTEM_ERROR',
+        diagnostics: [toDiagnostic(error)]
+      };
+    }
+  }
+
+  /**
+   * Reserve a voucher use for an order at checkout
+   * @param {string} code - Voucher code
+   * @param {Array} cartItems - Cart items for validation
+   * @param {Object} customer - Customer profile
+   * @param {string} orderId - Order holding the reservation
+   * @returns {Object} { success, redemption, error, errorCode }
+   */
+  async reserveVoucher(code, cartItems, customer, orderId) {
+    // Usage limits are checked by the ledger under its lock, where a repeat reserve for the order is idempotent
+    const context = this.createPricingContext({ checkUsageLimits: false, orderId });
+    const validation = await this.validateDiscountCode(code, cartItems, customer, context);
+    if (!validation.isValid) {
+      return { success: false, redemption: null, error: validation.error, errorCode: validation.errorCode };
+    }
+
+    const generated = validation.campaign !== code;
+    const voucher = context.rules.voucherCodes.get(validation.campaign);
+    const result = await this.ledger.reserve(code, getUsageLimits(voucher, generated), { orderId, customerId: customer.id });
+    if (result.errorCode === 'USAGE_LIMIT_REACHED') {
+      return {
+        success: false,
+        redemption: null,
+        ...this.describeUsageLimit(code, voucher, generated, result, context.rules)
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Generate unique single-use codes for a voucher campaign.
+   * The voucher must declare a code_format; its own code then only works through generated codes.
+   * @param {string} campaign - Voucher the codes redeem
+   * @param {number} count - Number of codes to create
+   * @returns {Promise<Array>} [{ code, campaign, created_at }]
+   * @throws {NotFoundError} VOUCHER_NOT_FOUND if the voucher does not exist
+   * @throws {ConflictError} CODE_FORMAT_REQUIRED if the voucher has no code_format
+   */
+  async generateVoucherCodes(campaign, count) {
+    const voucher = this.voucherCodes.get(campaign);
+    if (!voucher) {
+      throw new NotFoundError('VOUCHER_NOT_FOUND', `Voucher '${campaign}' not found`, { campaign });
+    }
+    if (!voucher.code_format) {
+      throw new ConflictError('CODE_FORMAT_REQUIRED', `Voucher '${campaign}' needs a code_format to generate codes`, {
+        campaign
+      });
+    }
+    return this.codeGenerator.generate(campaign, count, voucher.code_format);
+  }
+
+  /**
+   * Export a campaign's generated codes as CSV
+   * @returns {Promise<string>}
+   */
+  async exportVoucherCodes(campaign) {
+    return this.codeGenerator.exportCSV(campaign);
+  }
+
+  /**
+   * Find the voucher rule behind a code the customer entered.
+   * Shared codes like SUPER69 are rule keys. Generated codes are matched to the
+   * campaign whose code_format they fit, their check character is verified,
+   * and they must have been issued by the code generator.
+   * @returns {Promise<Object>} { campaign, voucher, generated } or { error, errorCode }
+   */
+  async resolveVoucherCode(code, rules) {
+    const shared = rules.voucherCodes.get(code);
+    if (shared?.code_format) {
+      return {
+        error: this.translate('voucher.generated_required', { code }, rules),
+        errorCode: 'GENERATED_CODE_REQUIRED'
+      };
+    }
+    if (shared) {
+      return { campaign: code, voucher: shared, generated: false };
+    }
+
+    const campaigns = [...rules.voucherCodes]
+      .filter(([, voucher]) => voucher.code_format && matchesCodeFormat(code, voucher.code_format));
+    if (campaigns.length === 0) {
+      return { error: this.translate('voucher.not_found', { code }, rules), errorCode: 'VOUCHER_NOT_FOUND' };
+    }
+    if (!campaigns.some(([, voucher]) => hasValidCheckCharacter(code, voucher.code_format))) {
+      return {
+        error: this.translate('voucher.invalid_check_character', { code }, rules),
+        errorCode: 'INVALID_CHECK_CHARACTER'
+      };
+    }
+
+    const entry = await this.codeGenerator.resolve(code);
+    const match = entry && campaigns.find(([campaign]) => campaign === entry.campaign);
+    if (!match) {
+      return { error: this.translate('voucher.not_found', { code }, rules), errorCode: 'VOUCHER_NOT_FOUND' };
+    }
+    return { campaign: match[0], voucher: match[1], generated: true };
+  }
+
+  /**
+   * Commit the voucher reservations of a placed order
+   * @returns {Object} { success, redemptions, error, errorCode }
+   */
+  async commitVoucher(orderId) {
+    return this.ledger.commit(orderId);
+  }
+
+  /**
+   * Release the voucher reservations of an abandoned order
+   * @returns {Array} Released redemptions
+   */
+  async releaseVoucher(orderId) {
+    return this.ledger.release(orderId);
+  }
+
+  /**
+   * Reserve loyalty points for an order at checkout, like a payment authorisation
+   * @param {Object} customer - Customer profile
+   * @param {number} points - Points to redeem (use loyalty.redeemed_points of the priced cart)
+   * @param {string} orderId - Order holding the reservation
+   * @returns {Object} { success, entry, error, errorCode }
+   */
+  async reservePoints(customer, points, orderId) {
+    const program = this.loyaltyProgram;
+    if (!program.point_value) {
+      return { success: false, entry: null, error: this.translate('loyalty.not_enabled'), errorCode: 'LOYALTY_NOT_ENABLED' };
+    }
+    if (program.min_redeem_points && points < program.min_redeem_points) {
+      return {
+        success: false,
+        entry: null,
+        error: this.translate('loyalty.min_points', { points: program.min_redeem_points }),
+        errorCode: 'MIN_POINTS_NOT_MET'
       };
     }
+
+    return this.loyaltyLedger.reserve(customer.id, points, orderId);
+  }
+
+  /**
+   * Commit the points reserved by a placed order
+   * @returns {Object} { success, entries, error, errorCode }
+   */
+  async commitPoints(orderId) {
+    return this.loyaltyLedger.commit(orderId);
+  }
+
+  /**
+   * Release the points reserved by an abandoned order
+   * @returns {Array} Released entries
+   */
+  async releasePoints(orderId) {
+    return this.loyaltyLedger.release(orderId);
+  }
+
+  /**
+   * Check a product against a voucher's brand, category and product restrictions
+   * @returns {Object|null} { errorCode, reason } when the product is not eligible, where reason
+   *   is a shopper-facing message fragment
+   */
+  checkVoucherItemEligibility(voucher, product) {
+    const checks = [
+      ['excluded_product_ids', 'allowed_product_ids', product.id, 'PRODUCT', 'product'],
+      ['excluded_brands', 'allowed_brands', product.brand, 'BRAND', 'brand'],
+      ['excluded_categories', 'allowed_categories', product.category, 'CATEGORY', 'category']
+    ];
+
+    for (const [excludedKey, allowedKey, value, codePrefix, label] of checks) {
+      if (voucher[excludedKey] && voucher[excludedKey].includes(value)) {
+        return { errorCode: `${codePrefix}_EXCLUDED`, reason: defineMessage(`item.${label}_excluded`, { value }) };
+      }
+      if (voucher[allowedKey] && !voucher[allowedKey].includes(value)) {
+        return { errorCode: `${codePrefix}_NOT_ELIGIBLE`, reason: defineMessage(`item.${label}_not_eligible`, { value }) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a voucher limits which cart lines it discounts
+   */
+  isRestrictedVoucher(voucher) {
+    return VOUCHER_ITEM_RESTRICTIONS.some(key => voucher[key]);
   }
 
   /**
@@ -314,39 +1970,159 @@ export class DiscountService {
     return result.isValid;
   }
 
+  /**
+   * Error for a voucher whose usage limit has been reached; a generated code can be used once
+   * @param {Object} limitError - Result of VoucherLedger.checkLimits
+   * @returns {Object} { error, errorCode }
+   */
+  describeUsageLimit(code, voucher, generated, limitError, rules = this.rules) {
+    return generated
+      ? { error: this.translate('voucher.already_used', { code }, rules), errorCode: 'VOUCHER_ALREADY_USED' }
+      : {
+        error: this.translate(`voucher.${limitError.limit}`, { code, limit: voucher[limitError.limit] }, rules),
+        errorCode: limitError.errorCode
+      };
+  }
+
+  /**
+   * Error for a voucher used outside its schedule
+   * @returns {Object} { error, errorCode }
+   */
+  describeVoucherSchedule(code, voucher, schedule, rules = this.rules) {
+    switch (schedule.reason) {
+      case 'not_started':
+        return {
+          error: this.translate('voucher.not_started', { code, date: voucher.valid_from }, rules),
+          errorCode: 'VOUCHER_NOT_STARTED'
+        };
+      case 'ended':
+        return {
+          error: this.translate('voucher.expired', { code, date: voucher.valid_until }, rules),
+          errorCode: 'VOUCHER_EXPIRED'
+        };
+      default:
+        return {
+          error: this.translate('voucher.outside_window', { code, schedule: describeSchedule(schedule) }, rules),
+          errorCode: 'VOUCHER_OUTSIDE_ACTIVE_WINDOW'
+        };
+    }
+  }
+
   /**
    * Get available discounts for a cart
+   * @param {Object} options - Pricing options, see createPricingContext
    */
-  getAvailableDiscounts(cartItems, customer) {
+  getAvailableDiscounts(cartItems, customer, options = {}) {
+    const { rules, at } = this.createPricingContext({ currency: this.getCartCurrency(cartItems), ...options });
     const availableDiscounts = {
       brands: [],
       categories: [],
       vouchers: [],
-      banks: []
+      banks: [],
+      promotions: [],
+      memberships: [],
+      upgrade_hints: []
     };
 
     // Brand discounts
     const uniqueBrands = [...new Set(cartItems.map(item => item.product.brand))];
     uniqueBrands.forEach(brand => {
-      if (this.brandDiscounts.has(brand)) {
-        availableDiscounts.brands.push({
-          brand,
-          discount: this.brandDiscounts.get(brand)
-        });
+      const discount = this.getActiveRule(rules.brandDiscounts, brand, at);
+      if (discount) {
+        availableDiscounts.brands.push({ brand, discount });
       }
     });
 
     // Category discounts
     const uniqueCategories = [...new Set(cartItems.map(item => item.product.category))];
     uniqueCategories.forEach(category => {
-      if (this.categoryDiscounts.has(category)) {
-        availableDiscounts.categories.push({
-          category,
-          discount: this.categoryDiscounts.get(category)
+      const discount = this.getActiveRule(rules.categoryDiscounts, category, at);
+      if (discount) {
+        availableDiscounts.categories.push({ category, discount });
+      }
+    });
+
+    // Buy X Get Y promotions covering at least one cart item
+    rules.bxgyPromotions.forEach((promotion, promotionId) => {
+      if (isRuleActive(promotion, at) && cartItems.some(item => this.matchesPromotionTarget(promotion, item.product))) {
+        availableDiscounts.promotions.push({
+          promotion: promotionId,
+          discount: promotion
+        });
+      }
+    });
+
+    // Membership discounts covering at least one cart item, or hints to unlock them
+    rules.membershipDiscounts.forEach((rule, ruleId) => {
+      if (!isRuleActive(rule, at) || !cartItems.some(item => this.matchesPromotionTarget(rule, item.product))) return;
+
+      const missing = this.getMissingSegments(rule, customer, rules);
+      if (missing.length === 0) {
+        availableDiscounts.memberships.push({ membership: ruleId, discount: rule });
+      } else {
+        availableDiscounts.upgrade_hints.push({
+          membership: ruleId,
+          discount: rule,
+          requires: missing,
+          message: this.translate('membership.unlock', {
+            requires: missing,
+            discount: defineMessage(...this.describeMembershipDiscount(rule))
+          }, rules)
         });
       }
     });
 
     return availableDiscounts;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Whether a card BIN falls in a { from, to } range, compared on the range's digits
+ */
+function isBinInRange(cardBin, range) {
+  if (typeof cardBin !== 'string' || cardBin.length < range.from.length) {
+    return false;
+  }
+  const prefix = cardBin.slice(0, range.from.length);
+  return prefix >= range.from && prefix <= range.to;
+}
+
+/**
+ * Usage limits the ledger enforces for a code: a generated code is single-use
+ */
+function getUsageLimits(voucher, generated) {
+  return generated ? { ...voucher, usage_limit: 1, usage_limit_per_customer: null } : voucher;
+}
+
+/**
+ * Trace cap for a rule whose max_discount brought the discount down, else null
+ */
+function describeRuleCap(uncapped, capped, maxDiscount) {
+  return uncapped.gt(capped) ? { type: 'max_discount', limit: new Decimal(maxDiscount) } : null;
+}
+
+/**
+ * Shopper-facing message fragment for why a rule is outside its schedule
+ */
+function describeSchedule(schedule) {
+  return defineMessage(`schedule.${schedule.reason}`, schedule.params);
+}
+
+/**
+ * Take units from the front of a list of { price, remaining } lines, using them up
+ * @returns {Array} [{ line, quantity }] - how many units were taken from each line
+ */
+function takeUnits(lines, quantity) {
+  const taken = [];
+  let needed = quantity;
+  for (const line of lines) {
+    if (needed === 0) break;
+    const count = Math.min(line.remaining, needed);
+    if (count > 0) {
+      line.remaining -= count;
+      needed -= count;
+      taken.push({ line, quantity: count });
+    }
+  }
+  return taken;
+}
@@ -0,0 +1,287 @@
+import { ValidationError } from '../errors/index.js';
+import { JsonLinesMap } from '../utils/jsonLines.js';
+import { KeyedLock } from '../utils/keyedLock.js';
+
+/**
+ * Loyalty program used when a rule set does not declare one: points can
+ * neither be redeemed nor earned.
+ */
+export const DEFAULT_LOYALTY_PROGRAM = {
+  point_value: null,
+  max_redeem_percentage: 100,
+  min_redeem_points: null,
+  earn_rate: null,
+  brand_earn_multipliers: {},
+  category_earn_multipliers: {}
+};
+
+/**
+ * Points entry types
+ */
+export const PointsEntryType = {
+  CREDIT: 'credit',
+  RESERVED: 'reserved',
+  REDEEMED: 'redeemed'
+};
+
+/**
+ * Storage interface for loyalty points entries.
+ * Extend this class to persist points somewhere other than memory.
+ * An entry looks like:
+ * { id, customer_id, type, points, order_id, reference, created_at, expires_at }
+ */
+export class PointsStore {
+  /**
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} All entries of the customer
+   */
+  async listByCustomer(customerId) {
+    throw new Error(`${this.constructor.name} must implement listByCustomer(customerId)`);
+  }
+
+  /**
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} All redemptions held by the order
+   */
+  async listByOrder(orderId) {
+    throw new Error(`${this.constructor.name} must implement listByOrder(orderId)`);
+  }
+
+  /**
+   * Insert or replace the entry with the same id
+   */
+  async save(entry) {
+    throw new Error(`${this.constructor.name} must implement save(entry)`);
+  }
+
+  /**
+   * Delete the entry with the same id
+   */
+  async remove(entry) {
+    throw new Error(`${this.constructor.name} must implement remove(entry)`);
+  }
+}
+
+/**
+ * In-memory points store (state is lost on restart)
+ */
+export class InMemoryPointsStore extends PointsStore {
+  constructor() {
+    super();
+    this.entries = new Map(); // id -> entry
+  }
+
+  async listByCustomer(customerId) {
+    return [...this.entries.values()].filter(entry => entry.customer_id === customerId);
+  }
+
+  async listByOrder(orderId) {
+    return [...this.entries.values()].filter(entry => entry.order_id === orderId);
+  }
+
+  async save(entry) {
+    this.entries.set(entry.id, { ...entry });
+  }
+
+  async remove(entry) {
+    this.entries.delete(entry.id);
+  }
+}
+
+/**
+ * Points store kept in a JSON-lines file, so balances survive restarts.
+ * Entries are read once when the store is created and every change is
+ * appended to the file (see utils/jsonLines.js).
+ */
+export class FilePointsStore extends InMemoryPointsStore {
+  /**
+   * @param {string} filePath - JSON-lines file, created on the first change
+   */
+  constructor(filePath) {
+    super();
+    this.file = new JsonLinesMap(filePath, this.entries, entry => entry.id);
+  }
+
+  async save(entry) {
+    await this.file.update(() => super.save(entry), [entry]);
+  }
+
+  async remove(entry) {
+    await this.file.update(() => super.remove(entry), [entry]);
+  }
+}
+
+/**
+ * Loyalty Ledger - Tracks each customer's points balance.
+ * Points redeemed at checkout are reserved for the order like a payment
+ * authorisation, then committed when the order is placed or released when it
+ * is abandoned. Reservations that are neither committed nor released expire
+ * after reservationTtlMs.
+ */
+export class LoyaltyLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {PointsStore} options.store - Points storage
+   * @param {number} options.reservationTtlMs - How long an uncommitted reservation holds points
+   * @param {Function} options.now - Clock returning the current time in milliseconds
+   */
+  constructor({
+    store = new InMemoryPointsStore(),
+    reservationTtlMs = 15 * 60 * 1000,
+    now = () => Date.now()
+  } = {}) {
+    this.store = store;
+    this.reservationTtlMs = reservationTtlMs;
+    this.now = now;
+    this.locks = new KeyedLock(); // serializes reservations per customer ID
+  }
+
+  /**
+   * Points a customer can redeem: credits less active reservations and redemptions
+   * @param {string} orderId - Order whose own reservation is left out, e.g. when repricing it after reserving
+   * @returns {Promise<number>}
+   */
+  async getBalance(customerId, orderId = null) {
+    const entries = (await this.store.listByCustomer(customerId)).filter(entry => this.isActive(entry)
+      && (orderId == null || entry.type !== PointsEntryType.RESERVED || entry.order_id !== orderId));
+    return entries.reduce(
+      (balance, entry) => (entry.type === PointsEntryType.CREDIT ? balance + entry.points : balance - entry.points),
+      0
+    );
+  }
+
+  /**
+   * Add points to a customer's balance, e.g. points earned on a delivered order.
+   * Crediting the same reference twice keeps the first credit.
+   * @param {string} customerId - Customer ID
+   * @param {number} points - Points to add
+   * @param {string} reference - Why the points were credited, e.g. an order ID
+   * @returns {Promise<Object>} The credit entry
+   * @throws {ValidationError} INVALID_POINTS if points is not a positive whole number
+   */
+  async credit(customerId, points, reference) {
+    if (!Number.isInteger(points) || points <= 0) {
+      throw new ValidationError('INVALID_POINTS', `Points to credit must be a positive whole number, got ${points}`, { points });
+    }
+
+    const id = `credit:${customerId}:${reference}`;
+    const existing = (await this.store.listByCustomer(customerId)).find(entry => entry.id === id);
+    if (existing) {
+      return existing;
+    }
+
+    const entry = {
+      id,
+      customer_id: customerId,
+      type: PointsEntryType.CREDIT,
+      points,
+      order_id: null,
+      reference,
+      created_at: this.now(),
+      expires_at: null
+    };
+    await this.store.save(entry);
+    return entry;
+  }
+
+  /**
+   * Reserve points for an order.
+   * Reserving for the same order twice returns the existing reservation.
+   * @returns {Promise<Object>} { success, entry, error, errorCode }
+   */
+  async reserve(customerId, points, orderId) {
+    if (!orderId) {
+      return { success: false, error: 'Order ID is required to reserve points', errorCode: 'ORDER_ID_REQUIRED' };
+    }
+    if (!Number.isInteger(points) || points <= 0) {
+      return { success: false, error: 'Points to reserve must be a positive whole number', errorCode: 'INVALID_POINTS' };
+    }
+
+    return this.withLock(customerId, async () => {
+      const existing = (await this.store.listByOrder(orderId))
+        .find(entry => entry.customer_id === customerId && this.isActive(entry));
+      if (existing) {
+        return { success: true, entry: existing, error: null, errorCode: null };
+      }
+
+      const balance = await this.getBalance(customerId);
+      if (points > balance) {
+        return {
+          success: false,
+          error: `Cannot redeem ${points} points, only ${balance} available`,
+          errorCode: 'INSUFFICIENT_POINTS'
+        };
+      }
+
+      const reservedAt = this.now();
+      const entry = {
+        id: `burn:${customerId}:${orderId}`,
+        customer_id: customerId,
+        type: PointsEntryType.RESERVED,
+        points,
+        order_id: orderId,
+        reference: orderId,
+        created_at: reservedAt,
+        expires_at: reservedAt + this.reservationTtlMs
+      };
+      await this.store.save(entry);
+
+      return { success: true, entry, error: null, errorCode: null };
+    });
+  }
+
+  /**
+   * Commit the points reserved by an order
+   * @returns {Promise<Object>} { success, entries, error, errorCode }
+   */
+  async commit(orderId) {
+    const reserved = (await this.store.listByOrder(orderId))
+      .filter(entry => entry.type === PointsEntryType.RESERVED && this.isActive(entry));
+
+    if (reserved.length === 0) {
+      return {
+        success: false,
+        entries: [],
+        error: `No active points reservation for order '${orderId}'`,
+        errorCode: 'RESERVATION_NOT_FOUND'
+      };
+    }
+
+    const entries = reserved.map(entry => ({ ...entry, type: PointsEntryType.REDEEMED, expires_at: null }));
+    for (const entry of entries) {
+      await this.store.save(entry);
+    }
+
+    return { success: true, entries, error: null, errorCode: null };
+  }
+
+  /**
+   * Release an order's uncommitted reservation so the points can be used again
+   * @returns {Promise<Array>} Released entries
+   */
+  async release(orderId) {
+    const reserved = (await this.store.listByOrder(orderId))
+      .filter(entry => entry.type === PointsEntryType.RESERVED);
+
+    for (const entry of reserved) {
+      await this.store.remove(entry);
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Whether an entry still counts towards the balance
+   */
+  isActive(entry) {
+    return entry.type !== PointsEntryType.RESERVED || entry.expires_at > this.now();
+  }
+
+  /**
+   * Run fn after any pending reservation of the same customer has finished,
+   * so two checkouts cannot both spend the same points
+   */
+  async withLock(customerId, fn) {
+    return this.locks.run(customerId, fn);
+  }
+}
@@ -0,0 +1,105 @@
+import { PaymentInfo } from '../models/index.js';
+
+/**
+ * Offer Optimizer - Finds the voucher and payment method combination that
+ * gives the shopper the lowest price. Every combination is priced through
+ * DiscountService.calculateCartDiscounts, so the ranking always matches
+ * what checkout will charge.
+ */
+export class OfferOptimizer {
+  /**
+   * @param {DiscountService} discountService - Service used to price each combination
+   */
+  constructor(discountService) {
+    this.discountService = discountService;
+  }
+
+  /**
+   * Rank every eligible voucher x payment method combination for a cart
+   * @param {Array} cartItems - Array of cart items
+   * @param {Object} customer - Customer profile
+   * @param {Object} options - Pricing options (see DiscountService.createPricingContext) plus `limit`
+   * @returns {Object} { best, combinations, excluded_vouchers }
+   */
+  async findBestOffers(cartItems, customer, options = {}) {
+    const { limit = null, ...pricingOptions } = options;
+    const context = this.discountService.createPricingContext({
+      currency: this.discountService.getCartCurrency(cartItems),
+      ...pricingOptions
+    });
+
+    const { eligible, excluded } = await this.partitionVouchers(cartItems, customer, context);
+    const voucherOptions = [null, ...eligible];
+    const paymentOptions = [null, ...this.getPaymentOptions(context.rules)];
+
+    const combinations = [];
+    for (const voucherCode of voucherOptions) {
+      for (const paymentInfo of paymentOptions) {
+        const result = await this.discountService.calculateCartDiscounts(
+          cartItems,
+          { ...customer, voucherCode, voucherCodes: [] },
+          paymentInfo,
+          context
+        );
+
+        combinations.push({
+          voucher_code: voucherCode,
+          payment: paymentInfo,
+          final_price: result.final_price,
+          total_savings: result.getTotalDiscount(),
+          savings_percentage: result.getDiscountPercentage(),
+          result
+        });
+      }
+    }
+
+    // Cheapest to pay (GST included) first; on a tie prefer the combination that uses fewer offers
+    combinations.sort((a, b) => a.result.getGrandTotal().cmp(b.result.getGrandTotal()) || offerCount(a) - offerCount(b));
+    const ranked = combinations.map((combination, index) => ({ rank: index + 1, ...combination }));
+
+    return {
+      best: ranked[0],
+      combinations: limit ? ranked.slice(0, limit) : ranked,
+      excluded_vouchers: excluded
+    };
+  }
+
+  /**
+   * Split configured vouchers into those valid for the cart and those that are not
+   * @returns {Object} { eligible: [code], excluded: [{ code, errorCode, error }] }
+   */
+  async partitionVouchers(cartItems, customer, context) {
+    const eligible = [];
+    const excluded = [];
+
+    for (const code of context.rules.voucherCodes.keys()) {
+      const validation = await this.discountService.validateDiscountCode(code, cartItems, customer, context);
+      if (validation.isValid) {
+        eligible.push(code);
+      } else {
+        excluded.push({ code, errorCode: validation.errorCode, error: validation.error });
+      }
+    }
+
+    return { eligible, excluded };
+  }
+
+  /**
+   * Payment methods worth trying - one per configured bank offer, with the
+   * card type, network, BIN and EMI tenure the offer asks for
+   */
+  getPaymentOptions(rules) {
+    return [...rules.bankOffers].map(([offerId, offer]) => new PaymentInfo({
+      method: 'CARD',
+      bank_name: offer.bank_name || offerId,
+      card_type: offer.card_types?.[0] ?? null,
+      card_network: offer.card_networks?.[0] ?? null,
+      card_bin: offer.bin_ranges?.[0].from ?? null,
+      emi_tenure_months: offer.min_emi_tenure_months ?? null
+    }));
+  }
+}
+
+function offerCount(combination) {
+  return (combination.voucher_code ? 1 : 0) + (combination.payment ? 1 : 0);
+}
@@ -0,0 +1,63 @@
+import { JsonLinesMap } from '../utils/jsonLines.js';
+
+/**
+ * Storage interface for saved quotes - what a price was calculated from, so
+ * it can be repriced later, e.g. to work out a refund after a restart.
+ * Extend this class to persist quotes somewhere other than memory.
+ * A quote looks like:
+ * { id, cart_items, customer, payment_info, ruleset_version, currency, locale, calculated_at }
+ */
+export class QuoteStore {
+  /**
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object|null>} The quote, or null if none has that ID
+   */
+  async get(quoteId) {
+    throw new Error(`${this.constructor.name} must implement get(quoteId)`);
+  }
+
+  /**
+   * Insert or replace the quote with the same id
+   */
+  async save(quote) {
+    throw new Error(`${this.constructor.name} must implement save(quote)`);
+  }
+}
+
+/**
+ * In-memory quote store (state is lost on restart)
+ */
+export class InMemoryQuoteStore extends QuoteStore {
+  constructor() {
+    super();
+    this.quotes = new Map(); // id -> quote
+  }
+
+  async get(quoteId) {
+    return this.quotes.get(quoteId) || null;
+  }
+
+  async save(quote) {
+    this.quotes.set(quote.id, { ...quote });
+  }
+}
+
+/**
+ * Quote store kept in a JSON-lines file, so quotes survive restarts.
+ * Quotes are read once when the store is created and every new quote is
+ * appended to the file (see utils/jsonLines.js); models are stored as
+ * plain JSON, with amounts as strings.
+ */
+export class FileQuoteStore extends InMemoryQuoteStore {
+  /**
+   * @param {string} filePath - JSON-lines file, created with the first quote
+   */
+  constructor(filePath) {
+    super();
+    this.file = new JsonLinesMap(filePath, this.quotes, quote => quote.id);
+  }
+
+  async save(quote) {
+    await this.file.update(() => super.save(quote), [quote]);
+  }
+}
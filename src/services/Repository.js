@@ -0,0 +1,66 @@
+import path from 'path';
+import { FileRulesetStore, InMemoryRulesetStore } from './RulesetRegistry.js';
+import { FileRedemptionStore, InMemoryRedemptionStore } from './VoucherLedger.js';
+import { FilePointsStore, InMemoryPointsStore } from './LoyaltyLedger.js';
+import { FileGeneratedCodeStore, InMemoryGeneratedCodeStore } from './VoucherCodeGenerator.js';
+import { FileQuoteStore, InMemoryQuoteStore } from './QuoteStore.js';
+
+/**
+ * Repository - Everything DiscountService keeps between requests, one store per kind of state:
+ * - rulesets: ruleset versions (RulesetStore)
+ * - redemptions: voucher reservations and uses (RedemptionStore)
+ * - points: loyalty points entries (PointsStore)
+ * - generatedCodes: generated voucher codes (GeneratedCodeStore)
+ * - quotes: saved quotes, for repricing an order later (QuoteStore)
+ * Extend this class, or pass your own stores, to keep state somewhere else, e.g. a database.
+ */
+export class Repository {
+  /**
+   * @param {Object} stores - { rulesets, redemptions, points, generatedCodes, quotes }
+   */
+  constructor({ rulesets, redemptions, points, generatedCodes, quotes }) {
+    this.rulesets = rulesets;
+    this.redemptions = redemptions;
+    this.points = points;
+    this.generatedCodes = generatedCodes;
+    this.quotes = quotes;
+  }
+}
+
+/**
+ * Repository held in memory (state is lost on restart)
+ */
+export class InMemoryRepository extends Repository {
+  constructor() {
+    super({
+      rulesets: new InMemoryRulesetStore(),
+      redemptions: new InMemoryRedemptionStore(),
+      points: new InMemoryPointsStore(),
+      generatedCodes: new InMemoryGeneratedCodeStore(),
+      quotes: new InMemoryQuoteStore()
+    });
+  }
+}
+
+/**
+ * Repository kept in JSON-lines files in one directory, so state survives
+ * restarts. Rulesets are rewritten atomically on every change; the other
+ * stores append each change to a log. The directory must be used by one
+ * process at a time.
+ */
+export class FileRepository extends Repository {
+  /**
+   * @param {string} directory - Holds rulesets.jsonl, redemptions.jsonl, points.jsonl,
+   *   generated_codes.jsonl and quotes.jsonl; created if missing
+   */
+  constructor(directory) {
+    super({
+      rulesets: new FileRulesetStore(path.join(directory, 'rulesets.jsonl')),
+      redemptions: new FileRedemptionStore(path.join(directory, 'redemptions.jsonl')),
+      points: new FilePointsStore(path.join(directory, 'points.jsonl')),
+      generatedCodes: new FileGeneratedCodeStore(path.join(directory, 'generated_codes.jsonl')),
+      quotes: new FileQuoteStore(path.join(directory, 'quotes.jsonl'))
+    });
+    this.directory = directory;
+  }
+}
@@ -0,0 +1,649 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { DEFAULT_STACKING_POLICY, PIPELINE_STAGES } from './StackingPolicy.js';
+import { DEFAULT_LOYALTY_PROGRAM } from './LoyaltyLedger.js';
+import { DEFAULT_TAX_POLICY } from './TaxCalculator.js';
+import { DAYS_OF_WEEK, isTimeOfDay, isValidTimeZone } from '../utils/schedule.js';
+import { isValidCodeFormat } from '../utils/voucherCodes.js';
+import { DEFAULT_PRICING_POLICY, ROUNDING_MODES, isCurrencyCode, isValidLocale } from '../utils/currency.js';
+import { ValidationError, toDiagnostic } from '../errors/index.js';
+
+/**
+ * Default rule file shipped with the service
+ */
+export const DEFAULT_RULES_FILE = fileURLToPath(new URL('../config/discount_rules.json', import.meta.url));
+
+/**
+ * Fields every discount rule can use to limit when it is active (see utils/schedule.js)
+ */
+const SCHEDULE_FIELDS = {
+  valid_from: { type: 'date' },
+  valid_until: { type: 'date' },
+  active_days: { type: 'enumList', values: DAYS_OF_WEEK },
+  active_hours: { type: 'timeWindow' },
+  timezone: { type: 'timezone' }
+};
+
+/**
+ * Fields every rule of a keyed section can use. A rule with enabled: false stays
+ * in the document (and its version history) but is left out of the rule set.
+ */
+const RULE_FIELDS = {
+  enabled: { type: 'boolean' }
+};
+
+/**
+ * Rule document schema
+ * Each section of a rule file maps to one rule set on DiscountService.
+ * Sections are objects keyed by brand / category / bank offer / voucher code / promotion ID.
+ * A section may also declare validate(rule) for checks spanning several fields.
+ * Sections marked `single` hold one rule instead, merged over its `defaults`.
+ */
+export const RULE_SCHEMA = {
+  brands: {
+    target: 'brandDiscounts',
+    fields: {
+      percentage: { type: 'percentage', required: true },
+      min_discount: { type: 'percentage' },
+      ...SCHEDULE_FIELDS
+    }
+  },
+  categories: {
+    target: 'categoryDiscounts',
+    fields: {
+      percentage: { type: 'percentage', required: true },
+      ...SCHEDULE_FIELDS
+    }
+  },
+  bank_offers: {
+    target: 'bankOffers',
+    fields: {
+      bank_name: { type: 'string' },
+      percentage: { type: 'percentage', required: true },
+      max_discount: { type: 'money', positive: true },
+      card_types: { type: 'enumList', values: ['CREDIT', 'DEBIT', 'PREPAID'] },
+      card_networks: { type: 'stringList' },
+      bin_ranges: { type: 'binRangeList' },
+      min_transaction_value: { type: 'money' },
+      min_emi_tenure_months: { type: 'count' },
+      ...SCHEDULE_FIELDS
+    }
+  },
+  vouchers: {
+    target: 'voucherCodes',
+    fields: {
+      percentage: { type: 'percentage', required: true },
+      max_discount: { type: 'money', positive: true },
+      min_order_value: { type: 'money' },
+      allowed_brands: { type: 'stringList' },
+      excluded_brands: { type: 'stringList' },
+      allowed_categories: { type: 'stringList' },
+      excluded_categories: { type: 'stringList' },
+      allowed_product_ids: { type: 'stringList' },
+      excluded_product_ids: { type: 'stringList' },
+      eligible_tiers: { type: 'stringList' },
+      usage_limit: { type: 'count' },
+      usage_limit_per_customer: { type: 'count' },
+      type: { type: 'string' },
+      combinable_with: { type: 'stringList' },
+      exclusive_with: { type: 'stringList' },
+      code_format: { type: 'codeFormat' },
+      ...SCHEDULE_FIELDS
+    }
+  },
+  bxgy_promotions: {
+    target: 'bxgyPromotions',
+    fields: {
+      buy_quantity: { type: 'count', required: true },
+      get_quantity: { type: 'count', required: true },
+      get_percentage: { type: 'percentage' },
+      brands: { type: 'stringList' },
+      categories: { type: 'stringList' },
+      product_ids: { type: 'stringList' },
+      free_unit_policy: { type: 'enum', values: ['cheapest', 'most_expensive'] },
+      ...SCHEDULE_FIELDS
+    },
+    validate: rule => (rule.brands || rule.categories || rule.product_ids)
+      ? [] : ['must target at least one of brands, categories or product_ids']
+  },
+  cart_promotions: {
+    target: 'cartPromotions',
+    fields: {
+      slabs: { type: 'slabList', required: true },
+      max_discount: { type: 'money', positive: true },
+      stage: { type: 'enum', values: ['before_vouchers', 'after_vouchers'] },
+      ...SCHEDULE_FIELDS
+    }
+  },
+  membership_discounts: {
+    target: 'membershipDiscounts',
+    fields: {
+      percentage: { type: 'percentage', required: true },
+      max_discount: { type: 'money', positive: true },
+      tiers: { type: 'stringList' },
+      premium_only: { type: 'boolean' },
+      customer_attributes: { type: 'attributeMatch' },
+      brands: { type: 'stringList' },
+      categories: { type: 'stringList' },
+      product_ids: { type: 'stringList' },
+      ...SCHEDULE_FIELDS
+    },
+    validate: rule => (rule.tiers || rule.premium_only || rule.customer_attributes)
+      ? [] : ['must target at least one of tiers, premium_only or customer_attributes']
+  },
+  cashback_offers: {
+    target: 'cashbackOffers',
+    fields: {
+      payment_methods: { type: 'enumList', values: ['UPI', 'WALLET'], required: true },
+      providers: { type: 'stringList' },
+      flat_amount: { type: 'money' },
+      percentage: { type: 'percentage' },
+      max_cashback: { type: 'money', positive: true },
+      min_transaction_value: { type: 'money' },
+      credit_to: { type: 'enum', values: ['WALLET', 'SOURCE'] },
+      credit_after_hours: { type: 'count' },
+      ...SCHEDULE_FIELDS
+    },
+    validate: rule => ((rule.flat_amount === undefined) !== (rule.percentage === undefined))
+      ? [] : ['must set exactly one of flat_amount or percentage']
+  },
+  loyalty_program: {
+    target: 'loyaltyProgram',
+    single: true,
+    defaults: DEFAULT_LOYALTY_PROGRAM,
+    fields: {
+      point_value: { type: 'money' },
+      max_redeem_percentage: { type: 'percentage' },
+      min_redeem_points: { type: 'count' },
+      earn_rate: { type: 'amount' },
+      brand_earn_multipliers: { type: 'numberMap' },
+      category_earn_multipliers: { type: 'numberMap' }
+    }
+  },
+  tax_rates: {
+    target: 'taxRates',
+    fields: {
+      slabs: { type: 'taxSlabList', required: true },
+      hsn_code: { type: 'string' }
+    }
+  },
+  tax: {
+    target: 'taxPolicy',
+    single: true,
+    defaults: DEFAULT_TAX_POLICY,
+    fields: {
+      default_rate: { type: 'percentage' },
+      bank_offers: { type: 'enum', values: ['pre_tax', 'post_tax'] }
+    }
+  },
+  pricing: {
+    target: 'pricingPolicy',
+    single: true,
+    defaults: DEFAULT_PRICING_POLICY,
+    fields: {
+      currency: { type: 'currency' },
+      locale: { type: 'locale' },
+      rounding_mode: { type: 'enum', values: Object.keys(ROUNDING_MODES) },
+      rounding_scope: { type: 'enum', values: ['line', 'order'] }
+    }
+  },
+  stacking_policy: {
+    target: 'stackingPolicy',
+    single: true,
+    defaults: DEFAULT_STACKING_POLICY,
+    fields: {
+      stages: { type: 'enumList', values: PIPELINE_STAGES },
+      brand_category_mode: { type: 'enum', values: ['compound', 'additive'] },
+      exclusivity_groups: { type: 'groupList' },
+      max_total_discount_percentage: { type: 'percentage' },
+      max_total_discount: { type: 'money' }
+    }
+  }
+};
+
+/**
+ * Field type checks - each receives (value, field) and returns an error string or null
+ */
+const FIELD_VALIDATORS = {
+  percentage: value => (typeof value === 'number' && value >= 0 && value <= 100)
+    ? null : 'must be a number between 0 and 100',
+  amount: value => (typeof value === 'number' && Number.isFinite(value) && value >= 0)
+    ? null : 'must be a non-negative number',
+  money: (value, field = {}) => (isPlainObject(value)
+    ? Object.keys(value).length > 0 && Object.entries(value).every(([currency, amount]) => isCurrencyCode(currency)
+      && isValidAmount(amount, field))
+    : isValidAmount(value, field))
+    ? null : `must be a ${field.positive ? 'positive' : 'non-negative'} number in the rule set currency, or a map of currency codes to amounts (e.g. { INR: 500, USD: 6 })`,
+  date: value => (toDate(value) ? null : 'must be a valid date (e.g. "2025-12-31")'),
+  count: value => (Number.isInteger(value) && value > 0)
+    ? null : 'must be a positive whole number',
+  boolean: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  string: value => (typeof value === 'string' && value !== '' ? null : 'must be a non-empty string'),
+  stringList: value => (Array.isArray(value) && value.every(item => typeof item === 'string'))
+    ? null : 'must be a list of strings',
+  slabList: value => (Array.isArray(value) && value.length > 0 && value.every(isValidSlab))
+    ? null : 'must be a non-empty list of { min_order_value, flat_amount | percentage } with amounts as numbers or currency maps',
+  taxSlabList: value => (Array.isArray(value) && value.length > 0 && value.every(isValidTaxSlab)
+    && value.filter(slab => slab.max_unit_value === undefined).length === 1
+    && new Set(value.map(slab => slab.max_unit_value)).size === value.length)
+    ? null : 'must be a non-empty list of { max_unit_value, rate } price bands with distinct limits and exactly one band without max_unit_value',
+  enum: (value, field) => (field.values.includes(value))
+    ? null : `must be one of ${field.values.join(', ')}`,
+  enumList: (value, field) => (Array.isArray(value) && value.every(item => field.values.includes(item))
+    && new Set(value).size === value.length)
+    ? null : `must be a list of distinct values from ${field.values.join(', ')}`,
+  groupList: value => (Array.isArray(value) && value.every(isValidGroup))
+    ? null : 'must be a list of { name, members: [discount key or prefix*], selection: first | best }',
+  timeWindow: value => (isPlainObject(value) && isTimeOfDay(value.start) && isTimeOfDay(value.end)
+    && value.start !== value.end && Object.keys(value).length === 2)
+    ? null : 'must be { start: "HH:MM", end: "HH:MM" } with different start and end',
+  binRangeList: value => (Array.isArray(value) && value.length > 0 && value.every(isValidBinRange))
+    ? null : 'must be a non-empty list of { from, to } digit strings of the same length (4-8 digits)',
+  attributeMatch: value => (isPlainObject(value) && Object.keys(value).length > 0
+    && Object.values(value).every(expected => (Array.isArray(expected) ? expected.every(isScalar) : isScalar(expected))))
+    ? null : 'must map customer attribute names to a value or a list of values',
+  numberMap: value => (isPlainObject(value)
+    && Object.values(value).every(number => typeof number === 'number' && Number.isFinite(number) && number >= 0))
+    ? null : 'must map names to non-negative numbers',
+  timezone: value => (isValidTimeZone(value) ? null : 'must be an IANA time zone (e.g. "Asia/Kolkata")'),
+  currency: value => (isCurrencyCode(value) ? null : 'must be an ISO 4217 currency code (e.g. "INR")'),
+  locale: value => (isValidLocale(value) ? null : 'must be a BCP 47 locale (e.g. "en-IN")'),
+  codeFormat: value => (isValidCodeFormat(value)
+    ? null : 'must be { prefix, alphabet, length } with at least 2 distinct alphabet characters and a length of 4-32')
+};
+
+/**
+ * Field value conversions applied after validation
+ */
+const FIELD_CONVERTERS = {
+  date: value => toDate(value)
+};
+
+/**
+ * Raised when a rule document fails schema validation (code INVALID_RULES, details { errors, source })
+ */
+export class RuleValidationError extends ValidationError {
+  constructor(errors, source = null) {
+    const location = source ? ` in ${source}` : '';
+    super('INVALID_RULES', `Invalid discount rules${location}:\n  - ${errors.join('\n  - ')}`, { errors, source }, 422);
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+    this.source = source;
+  }
+}
+
+/**
+ * Parse rule file contents
+ * @param {string} text - Raw file contents
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} Parsed rule document
+ */
+export function parseRuleDocument(text, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.parse(text);
+    case 'yaml':
+      return yaml.load(text);
+    default:
+      throw new Error(`Unsupported rule file format '${format}'. Use JSON or YAML`);
+  }
+}
+
+/**
+ * Validate a rule document against RULE_SCHEMA
+ * @param {Object} document - Parsed rule document
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+export function validateRuleDocument(document) {
+  if (!isPlainObject(document)) {
+    return [`Rule document must be an object with any of: ${Object.keys(RULE_SCHEMA).join(', ')}`];
+  }
+
+  const errors = [];
+
+  Object.entries(document).forEach(([sectionName, section]) => {
+    const sectionSchema = RULE_SCHEMA[sectionName];
+    if (!sectionSchema) {
+      errors.push(`Unknown rule section '${sectionName}'`);
+      return;
+    }
+    if (sectionSchema.single) {
+      errors.push(...validateRule(sectionName, section, sectionSchema));
+      return;
+    }
+    if (!isPlainObject(section)) {
+      errors.push(`${sectionName}: must be an object keyed by rule name`);
+      return;
+    }
+
+    const ruleSchema = { ...sectionSchema, fields: { ...sectionSchema.fields, ...RULE_FIELDS } };
+    Object.entries(section).forEach(([ruleName, rule]) => {
+      errors.push(...validateRule(`${sectionName}.${ruleName}`, rule, ruleSchema));
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a single rule against its field schema
+ */
+function validateRule(rulePath, rule, { fields, validate }) {
+  if (!isPlainObject(rule)) {
+    return [`${rulePath}: must be an object`];
+  }
+
+  const errors = [];
+
+  Object.entries(fields).forEach(([fieldName, field]) => {
+    const value = rule[fieldName];
+    if (value === undefined || value === null) {
+      if (field.required) {
+        errors.push(`${rulePath}.${fieldName}: is required`);
+      }
+      return;
+    }
+
+    const error = FIELD_VALIDATORS[field.type](value, field);
+    if (error) {
+      errors.push(`${rulePath}.${fieldName}: ${error} (got ${JSON.stringify(value)})`);
+    }
+  });
+
+  Object.keys(rule)
+    .filter(fieldName => !fields[fieldName])
+    .forEach(fieldName => errors.push(`${rulePath}.${fieldName}: unknown field`));
+
+  if (errors.length === 0 && rule.valid_from != null && rule.valid_until != null
+    && toDate(rule.valid_from) > toDate(rule.valid_until)) {
+    errors.push(`${rulePath}: valid_from must not be after valid_until`);
+  }
+
+  if (validate && errors.length === 0) {
+    validate(rule).forEach(error => errors.push(`${rulePath}: ${error}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Build a rule set from a rule document
+ * @param {Object} document - Parsed rule document
+ * @param {string} source - Where the document came from (for error messages)
+ * @returns {Object} Rule set with one Map per rule type
+ * @throws {RuleValidationError} If the document does not match the schema
+ */
+export function buildRuleSet(document, source = null) {
+  const errors = validateRuleDocument(document);
+  if (errors.length > 0) {
+    throw new RuleValidationError(errors, source);
+  }
+
+  const ruleSet = {};
+
+  Object.entries(RULE_SCHEMA).forEach(([sectionName, sectionSchema]) => {
+    if (sectionSchema.single) {
+      ruleSet[sectionSchema.target] = {
+        ...sectionSchema.defaults,
+        ...convertRule(document[sectionName] || {}, sectionSchema.fields)
+      };
+      return;
+    }
+
+    const rules = new Map();
+    Object.entries(document[sectionName] || {})
+      .filter(([, rule]) => rule.enabled !== false)
+      .forEach(([ruleName, rule]) => {
+        rules.set(ruleName, convertRule(rule, sectionSchema.fields));
+      });
+
+    ruleSet[sectionSchema.target] = rules;
+  });
+
+  return ruleSet;
+}
+
+/**
+ * Rule set with every money field resolved to a plain amount in one currency.
+ * A money field is either an amount in the rule set's own currency
+ * (pricing.currency) or a map of currency codes to amounts. Rules with a money
+ * field that has no amount in the currency are left out, slabs without one are
+ * dropped, and such fields of single sections become null. Rules and sections
+ * that need no change are shared with the original rule set.
+ * The locale, when given, is the one shopper messages are rendered in.
+ * @param {Object} ruleSet - Rule set built by buildRuleSet (or a localized one)
+ * @param {string} currency - ISO currency code to price in
+ * @param {string} locale - BCP 47 locale for messages (defaults to the rule set's own)
+ * @returns {Object} Rule set with `currency` and `locale` set
+ */
+export function localizeRuleSet(ruleSet, currency, locale = ruleSet.locale || ruleSet.pricingPolicy.locale) {
+  const localized = localizeCurrency(ruleSet, currency);
+  return localized.locale === locale ? localized : { ...localized, locale };
+}
+
+function localizeCurrency(ruleSet, currency) {
+  if (ruleSet.currency === currency) {
+    return ruleSet;
+  }
+
+  const base = ruleSet.baseRuleSet || ruleSet;
+  const baseCurrency = base.pricingPolicy.currency;
+  const localized = { ...base, currency, baseRuleSet: base };
+
+  Object.values(RULE_SCHEMA).forEach(({ target, single, fields }) => {
+    if (single) {
+      localized[target] = localizeRule(base[target], fields, currency, baseCurrency, true);
+      return;
+    }
+
+    const rules = new Map();
+    let changed = false;
+    base[target].forEach((rule, ruleName) => {
+      const localizedRule = localizeRule(rule, fields, currency, baseCurrency, false);
+      changed = changed || localizedRule !== rule;
+      if (localizedRule) {
+        rules.set(ruleName, localizedRule);
+      }
+    });
+    localized[target] = changed ? rules : base[target];
+  });
+
+  return localized;
+}
+
+/**
+ * Resolve a rule's money fields in one currency
+ * @returns {Object|null} The localized rule (the same object when nothing changes),
+ *   or null when a required amount is missing
+ */
+function localizeRule(rule, fields, currency, baseCurrency, single) {
+  let localized = rule;
+  const set = (fieldName, value) => {
+    if (value !== rule[fieldName]) {
+      localized = localized === rule ? { ...rule } : localized;
+      localized[fieldName] = value;
+    }
+  };
+
+  for (const [fieldName, field] of Object.entries(fields)) {
+    const value = rule[fieldName];
+    if (value == null) continue;
+
+    if (field.type === 'money') {
+      const amount = toCurrencyAmount(value, currency, baseCurrency);
+      if (amount == null && !single) {
+        return null;
+      }
+      set(fieldName, amount);
+    } else if (field.type === 'slabList') {
+      const slabs = value
+        .filter(slab => toCurrencyAmount(slab.min_order_value, currency, baseCurrency) != null
+          && (slab.flat_amount === undefined || toCurrencyAmount(slab.flat_amount, currency, baseCurrency) != null))
+        .map(slab => localizeSlab(slab, currency, baseCurrency));
+      if (slabs.length === 0) {
+        return null;
+      }
+      const unchanged = slabs.length === value.length && slabs.every((slab, index) => slab === value[index]);
+      set(fieldName, unchanged ? value : slabs);
+    }
+  }
+
+  return localized;
+}
+
+function localizeSlab(slab, currency, baseCurrency) {
+  if (!isPlainObject(slab.min_order_value) && !isPlainObject(slab.flat_amount)) {
+    return slab;
+  }
+  return {
+    ...slab,
+    min_order_value: toCurrencyAmount(slab.min_order_value, currency, baseCurrency),
+    ...(slab.flat_amount !== undefined && { flat_amount: toCurrencyAmount(slab.flat_amount, currency, baseCurrency) })
+  };
+}
+
+function toCurrencyAmount(value, currency, baseCurrency) {
+  if (isPlainObject(value)) {
+    return value[currency] ?? null;
+  }
+  return currency === baseCurrency ? value : null;
+}
+
+/**
+ * Apply FIELD_CONVERTERS to a validated rule
+ */
+function convertRule(rule, fields) {
+  const converted = { ...rule };
+  Object.entries(fields).forEach(([fieldName, field]) => {
+    const convert = FIELD_CONVERTERS[field.type];
+    if (convert && converted[fieldName] != null) {
+      converted[fieldName] = convert(converted[fieldName]);
+    }
+  });
+  return converted;
+}
+
+/**
+ * Read a JSON or YAML rule file without validating it
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object} Parsed rule document
+ * @throws {RuleValidationError} If the file cannot be read or parsed
+ */
+export function readRuleFile(filePath) {
+  const format = formatFromPath(filePath);
+
+  try {
+    return parseRuleDocument(fs.readFileSync(filePath, 'utf8'), format);
+  } catch (error) {
+    throw new RuleValidationError([`Could not read rule file: ${error.message}`], filePath);
+  }
+}
+
+/**
+ * Load and validate a JSON or YAML rule file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object} Rule set with one Map per rule type
+ * @throws {RuleValidationError} If the file cannot be parsed or fails validation
+ */
+export function loadRulesFromFile(filePath) {
+  return buildRuleSet(readRuleFile(filePath), filePath);
+}
+
+/**
+ * Watch a rule file and hot-reload it into a running DiscountService.
+ * Each change is published as a new ruleset version in the service's registry.
+ * Invalid files are rejected and the service keeps its current rules; the
+ * failure is kept as a diagnostic in discountService.ruleReloadDiagnostic until
+ * a later reload succeeds.
+ * @param {string} filePath - Rule file to watch
+ * @param {DiscountService} discountService - Service to reload
+ * @param {Object} options - { interval, persistent, author, onReload, onError }; author is recorded on the versions
+ * @returns {Function} Call to stop watching
+ */
+export function watchRulesFile(filePath, discountService, {
+  interval = 1000,
+  persistent = true,
+  author = 'rules-file',
+  onReload = () => {},
+  onError = () => {}
+} = {}) {
+  const listener = async (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    try {
+      await discountService.registry.publishDocument(readRuleFile(filePath), author, filePath);
+      discountService.ruleReloadDiagnostic = null;
+      onReload(discountService.rules);
+    } catch (error) {
+      discountService.ruleReloadDiagnostic = toDiagnostic(error);
+      onError(error);
+    }
+  };
+
+  fs.watchFile(filePath, { interval, persistent }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+function formatFromPath(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.json') return 'json';
+  if (extension === '.yaml' || extension === '.yml') return 'yaml';
+  throw new RuleValidationError([`Unsupported rule file extension '${extension}'. Use .json, .yaml or .yml`], filePath);
+}
+
+function isValidAmount(amount, { positive = false } = {}) {
+  return !FIELD_VALIDATORS.amount(amount) && (!positive || amount > 0);
+}
+
+function isValidSlab(slab) {
+  if (!isPlainObject(slab) || slab.min_order_value == null || FIELD_VALIDATORS.money(slab.min_order_value)) {
+    return false;
+  }
+  if (Object.keys(slab).some(key => !['min_order_value', 'flat_amount', 'percentage'].includes(key))) {
+    return false;
+  }
+
+  // Exactly one reward per slab
+  if (slab.flat_amount !== undefined) {
+    return slab.percentage === undefined && !FIELD_VALIDATORS.money(slab.flat_amount);
+  }
+  return slab.percentage !== undefined && !FIELD_VALIDATORS.percentage(slab.percentage);
+}
+
+function isValidTaxSlab(slab) {
+  return isPlainObject(slab)
+    && Object.keys(slab).every(key => ['max_unit_value', 'rate'].includes(key))
+    && !FIELD_VALIDATORS.percentage(slab.rate)
+    && (slab.max_unit_value === undefined || !FIELD_VALIDATORS.amount(slab.max_unit_value));
+}
+
+function isValidBinRange(range) {
+  return isPlainObject(range)
+    && Object.keys(range).length === 2
+    && /^\d{4,8}$/.test(range.from) && /^\d{4,8}$/.test(range.to)
+    && range.from.length === range.to.length
+    && range.from <= range.to;
+}
+
+function isValidGroup(group) {
+  return isPlainObject(group)
+    && typeof group.name === 'string'
+    && !FIELD_VALIDATORS.stringList(group.members) && group.members.length > 0
+    && (group.selection === undefined || ['first', 'best'].includes(group.selection))
+    && Object.keys(group).every(key => ['name', 'members', 'selection'].includes(key));
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : (typeof value === 'string' ? new Date(value) : null);
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,363 @@
+import { RULE_SCHEMA, buildRuleSet } from './RuleLoader.js';
+import { ConflictError, NotFoundError, StorageError, ValidationError } from '../errors/index.js';
+import { JsonLinesFile } from '../utils/jsonLines.js';
+
+/**
+ * Rule types managed one rule at a time - the keyed sections of RULE_SCHEMA
+ * (brands, categories, bank_offers, vouchers, ...). Sections added to the schema are picked up here.
+ */
+export const RULE_TYPES = Object.keys(RULE_SCHEMA).filter(section => !RULE_SCHEMA[section].single);
+
+/**
+ * Storage interface for ruleset versions.
+ * Extend this class to persist versions somewhere other than memory.
+ * Unlike the other stores it is synchronous, because the rules must be in
+ * place as soon as DiscountService is constructed.
+ */
+export class RulesetStore {
+  /**
+   * @returns {Array} Every saved version, oldest first
+   */
+  loadVersions() {
+    throw new Error(`${this.constructor.name} must implement loadVersions()`);
+  }
+
+  /**
+   * Append a version; throw if it cannot be saved
+   */
+  saveVersion(version) {
+    throw new Error(`${this.constructor.name} must implement saveVersion(version)`);
+  }
+}
+
+/**
+ * In-memory ruleset store (versions are lost on restart)
+ */
+export class InMemoryRulesetStore extends RulesetStore {
+  constructor() {
+    super();
+    this.versions = [];
+  }
+
+  loadVersions() {
+    return [...this.versions];
+  }
+
+  saveVersion(version) {
+    this.versions.push(version);
+  }
+}
+
+/**
+ * Ruleset store kept in a JSON-lines file, one version per line, rewritten
+ * atomically on every change (see utils/jsonLines.js)
+ */
+export class FileRulesetStore extends InMemoryRulesetStore {
+  /**
+   * @param {string} filePath - JSON-lines file, created with the first version
+   */
+  constructor(filePath) {
+    super();
+    this.file = new JsonLinesFile(filePath);
+    this.versions = this.file.read();
+  }
+
+  saveVersion(version) {
+    this.file.writeSync([...this.versions, version]);
+    super.saveVersion(version);
+  }
+}
+
+/**
+ * Ruleset Registry - Keeps every version of the discount rules.
+ * Each change is validated against RULE_SCHEMA and published as a new
+ * immutable version with its author and time; a change that fails validation
+ * publishes nothing. Versions are never edited or removed, so a rollback
+ * publishes an earlier version's rules again as the newest version.
+ * A version looks like:
+ * { version, author, created_at, change: { action, type, key, from_version }, document }
+ * where action is initial, create, update, disable, enable, delete, rollback or import.
+ * Versions are saved to a RulesetStore; a registry on a store that already
+ * holds versions carries on from them and ignores its initial document.
+ */
+export class RulesetRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Object} options.document - Rule document of version 1, used when the store is empty
+   * @param {string} options.author - Author recorded on version 1
+   * @param {string} options.source - Where the document came from (for error messages)
+   * @param {RulesetStore} options.store - Version storage
+   * @param {Function} options.now - Clock returning the current time in milliseconds
+   * @throws {RuleValidationError} If the document or a stored version does not match the schema
+   * @throws {StorageError} STORAGE_CORRUPT if the stored versions are not numbered 1, 2, 3...
+   */
+  constructor({
+    document = {},
+    author = 'system',
+    source = null,
+    store = new InMemoryRulesetStore(),
+    now = () => Date.now()
+  } = {}) {
+    this.store = store;
+    this.now = now;
+    this.versions = []; // version n is at index n - 1
+    this.ruleSets = new Map(); // version -> rule set built from its document
+    this.listeners = new Set();
+
+    const saved = store.loadVersions();
+    if (saved.length > 0) {
+      saved.forEach(version => this.restoreVersion(version));
+    } else {
+      this.addVersion(document, author, { action: 'initial' }, source);
+    }
+  }
+
+  /**
+   * Number of the newest version, the one pricing uses by default
+   */
+  get currentVersion() {
+    return this.versions.length;
+  }
+
+  /**
+   * Version history without the documents, oldest first
+   * @returns {Array} [{ version, author, created_at, change }]
+   */
+  listVersions() {
+    return this.versions.map(({ document, ...summary }) => summary);
+  }
+
+  /**
+   * @param {number} version - Version number (defaults to the current version)
+   * @returns {Object} The frozen version, including its document
+   * @throws {NotFoundError} RULESET_VERSION_NOT_FOUND
+   */
+  getVersion(version = this.currentVersion) {
+    const found = Number.isInteger(version) ? this.versions[version - 1] : undefined;
+    if (!found) {
+      throw new NotFoundError('RULESET_VERSION_NOT_FOUND', `Ruleset version ${version} not found`, {
+        version,
+        current_version: this.currentVersion
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Rule set of a version, as DiscountService prices with (see RuleLoader.buildRuleSet)
+   * @returns {Object} Rule set with `version` set
+   * @throws {NotFoundError} RULESET_VERSION_NOT_FOUND
+   */
+  getRuleSet(version = this.currentVersion) {
+    this.getVersion(version);
+    return this.ruleSets.get(version);
+  }
+
+  /**
+   * Rules of one type, disabled ones included
+   * @param {string} type - Rule type, see RULE_TYPES
+   * @returns {Object} Rule key -> rule
+   * @throws {ValidationError} UNKNOWN_RULE_TYPE
+   */
+  listRules(type, version = this.currentVersion) {
+    assertRuleType(type);
+    return this.getVersion(version).document[type] || {};
+  }
+
+  /**
+   * @throws {NotFoundError} RULE_NOT_FOUND
+   */
+  getRule(type, key, version = this.currentVersion) {
+    const rules = this.listRules(type, version);
+    if (!Object.hasOwn(rules, key)) {
+      throw new NotFoundError('RULE_NOT_FOUND', `No ${type} rule '${key}' in ruleset version ${version}`, { type, key, version });
+    }
+    return rules[key];
+  }
+
+  /**
+   * Add a rule
+   * @param {string} type - Rule type, e.g. 'vouchers'
+   * @param {string} key - Brand / category / bank offer / voucher code / promotion ID
+   * @param {Object} rule - Rule fields, as in a rule file
+   * @param {string} author - Who made the change
+   * @returns {Promise<Object>} The new version
+   * @throws {ConflictError} RULE_EXISTS
+   * @throws {RuleValidationError} If the rule is invalid
+   */
+  async createRule(type, key, rule, author) {
+    assertRuleKey(key);
+    if (Object.hasOwn(this.listRules(type), key)) {
+      throw new ConflictError('RULE_EXISTS', `A ${type} rule '${key}' already exists`, { type, key });
+    }
+    return this.publishRule(type, key, rule, author, 'create');
+  }
+
+  /**
+   * Change some fields of a rule; a field set to null is removed
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object>} The new version
+   * @throws {NotFoundError} RULE_NOT_FOUND
+   * @throws {RuleValidationError} If the changed rule is invalid
+   */
+  async updateRule(type, key, changes, author) {
+    const rule = this.getRule(type, key);
+    if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError('INVALID_RULE', 'Rule changes must be an object of fields', { type, key });
+    }
+    const updated = Object.fromEntries(Object.entries({ ...rule, ...changes }).filter(([, value]) => value !== null));
+    return this.publishRule(type, key, updated, author, 'update');
+  }
+
+  /**
+   * Stop a rule applying without deleting it
+   * @returns {Promise<Object>} The new version
+   */
+  async disableRule(type, key, author) {
+    return this.publishRule(type, key, { ...this.getRule(type, key), enabled: false }, author, 'disable');
+  }
+
+  /**
+   * @returns {Promise<Object>} The new version
+   */
+  async enableRule(type, key, author) {
+    const { enabled, ...rule } = this.getRule(type, key);
+    return this.publishRule(type, key, rule, author, 'enable');
+  }
+
+  /**
+   * @returns {Promise<Object>} The new version
+   */
+  async deleteRule(type, key, author) {
+    this.getRule(type, key);
+    return this.publishRule(type, key, null, author, 'delete');
+  }
+
+  /**
+   * Publish the rules of an earlier version as the newest version
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} The new version
+   * @throws {NotFoundError} RULESET_VERSION_NOT_FOUND
+   */
+  async rollback(version, author) {
+    const { document } = this.getVersion(version);
+    return this.publish(document, author, { action: 'rollback', from_version: version });
+  }
+
+  /**
+   * Publish a whole rule document, e.g. a reloaded rule file
+   * @param {string} source - Where the document came from (for error messages)
+   * @returns {Promise<Object>} The new version
+   * @throws {RuleValidationError} If the document is invalid
+   */
+  async publishDocument(document, author, source = null) {
+    return this.publish(document, author, { action: 'import' }, source);
+  }
+
+  /**
+   * Call a listener with every version published from now on
+   * @param {Function} listener - Receives the new version
+   * @returns {Function} Call to stop listening
+   */
+  onPublish(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Publish the current document with one rule set to `rule` (removed when null)
+   */
+  async publishRule(type, key, rule, author, action) {
+    const rules = { ...this.listRules(type) };
+    if (rule === null) {
+      delete rules[key];
+    } else {
+      rules[key] = rule;
+    }
+    return this.publish({ ...this.getVersion().document, [type]: rules }, author, { action, type, key });
+  }
+
+  /**
+   * Add a version and tell the listeners
+   */
+  async publish(document, author, change, source = null) {
+    const version = this.addVersion(document, author, change, source);
+    this.listeners.forEach(listener => listener(version));
+    return version;
+  }
+
+  /**
+   * Validate a document, save it as the next version and make it current
+   * @throws {ValidationError} AUTHOR_REQUIRED
+   * @throws {RuleValidationError} If the document does not match the schema
+   */
+  addVersion(document, author, change, source = null) {
+    if (typeof author !== 'string' || author.trim() === '') {
+      throw new ValidationError('AUTHOR_REQUIRED', 'A ruleset change needs an author', { field: 'author' });
+    }
+
+    const number = this.versions.length + 1;
+    const ruleSet = buildRuleSet(structuredClone(document), source || `ruleset version ${number}`);
+    const version = deepFreeze({
+      version: number,
+      author,
+      created_at: new Date(this.now()),
+      change: {
+        action: change.action,
+        type: change.type ?? null,
+        key: change.key ?? null,
+        from_version: change.from_version ?? null
+      },
+      document: structuredClone(document)
+    });
+
+    this.store.saveVersion(version);
+    this.register(version, ruleSet);
+    return version;
+  }
+
+  /**
+   * Load a version read back from the store
+   */
+  restoreVersion(saved) {
+    if (saved.version !== this.versions.length + 1) {
+      throw new StorageError('STORAGE_CORRUPT', `Expected ruleset version ${this.versions.length + 1}, found ${saved.version}`, {
+        version: saved.version
+      });
+    }
+    const ruleSet = buildRuleSet(structuredClone(saved.document), `ruleset version ${saved.version}`);
+    this.register(deepFreeze(structuredClone(saved)), ruleSet);
+  }
+
+  register(version, ruleSet) {
+    this.ruleSets.set(version.version, { ...ruleSet, version: version.version });
+    this.versions.push(version);
+  }
+}
+
+function assertRuleType(type) {
+  if (!RULE_TYPES.includes(type)) {
+    throw new ValidationError('UNKNOWN_RULE_TYPE', `Unknown rule type '${type}'. Use one of: ${RULE_TYPES.join(', ')}`, {
+      type,
+      types: RULE_TYPES
+    });
+  }
+}
+
+function assertRuleKey(key) {
+  if (typeof key !== 'string' || key.trim() === '') {
+    throw new ValidationError('INVALID_RULE_KEY', 'Rule key must be a non-empty string', { key });
+  }
+  // Keys like __proto__ or constructor would not become own properties of a rule section
+  if (key in Object.prototype) {
+    throw new ValidationError('INVALID_RULE_KEY', `Rule key '${key}' is reserved`, { key });
+  }
+}
+
+function deepFreeze(value) {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
@@ -0,0 +1,97 @@
+import Decimal from 'decimal.js';
+import { DEFAULT_PRICING_POLICY, formatMoney } from '../utils/currency.js';
+
+/**
+ * Pricing pipeline stages in their default order
+ */
+export const PIPELINE_STAGES = [
+  'brand_category',
+  'bxgy',
+  'membership',
+  'cart_before_vouchers',
+  'voucher',
+  'cart_after_vouchers',
+  'bank'
+];
+
+/**
+ * Stacking policy used when a rule set does not declare one:
+ * every stage in the default order, brand and category discounts compounding,
+ * no exclusivity groups and no global cap.
+ */
+export const DEFAULT_STACKING_POLICY = {
+  stages: PIPELINE_STAGES,
+  brand_category_mode: 'compound',
+  exclusivity_groups: [],
+  max_total_discount_percentage: null,
+  max_total_discount: null
+};
+
+/**
+ * Whether a discount key matches a group member pattern.
+ * Patterns are discount keys with an optional trailing '*', e.g. 'Bank_*'.
+ */
+export function matchesDiscountPattern(pattern, discountKey) {
+  return pattern.endsWith('*')
+    ? discountKey.startsWith(pattern.slice(0, -1))
+    : discountKey === pattern;
+}
+
+/**
+ * Exclusivity groups a discount belongs to
+ * @param {Object} policy - Stacking policy
+ * @param {string} discountKey - Discount key, e.g. 'Voucher_SUPER69'
+ * @param {string} selection - Only return groups using this selection ('first' or 'best')
+ */
+export function getExclusivityGroups(policy, discountKey, selection = null) {
+  return policy.exclusivity_groups.filter(group =>
+    (!selection || (group.selection || 'first') === selection)
+    && group.members.some(pattern => matchesDiscountPattern(pattern, discountKey)));
+}
+
+/**
+ * Find an already applied discount that a 'first' exclusivity group keeps
+ * the given discount from combining with
+ * @param {Object} policy - Stacking policy
+ * @param {string} discountKey - Discount about to be applied
+ * @param {Array<string>} appliedKeys - Discounts applied so far
+ * @returns {Object|null} { group, applied } for the first conflict found
+ */
+export function findExclusivityConflict(policy, discountKey, appliedKeys) {
+  for (const group of getExclusivityGroups(policy, discountKey, 'first')) {
+    const applied = appliedKeys.find(key => key !== discountKey
+      && group.members.some(pattern => matchesDiscountPattern(pattern, key)));
+    if (applied) {
+      return { group: group.name, applied };
+    }
+  }
+  return null;
+}
+
+/**
+ * Largest total discount the policy allows on an order
+ * @param {Object} policy - Stacking policy
+ * @param {Decimal} originalTotal - Order value at MRP
+ * @param {string} currency - Currency of the order, used in the description
+ * @param {string} locale - Locale the description is formatted for
+ * @returns {Object|null} { amount, description } or null when uncapped
+ */
+export function getTotalDiscountCap(policy, originalTotal, currency = DEFAULT_PRICING_POLICY.currency,
+  locale = DEFAULT_PRICING_POLICY.locale) {
+  const caps = [];
+
+  if (policy.max_total_discount_percentage != null) {
+    caps.push({
+      amount: originalTotal.mul(policy.max_total_discount_percentage).div(100),
+      description: `${policy.max_total_discount_percentage}% of MRP`
+    });
+  }
+  if (policy.max_total_discount != null) {
+    caps.push({
+      amount: new Decimal(policy.max_total_discount),
+      description: formatMoney(policy.max_total_discount, currency, locale)
+    });
+  }
+
+  return caps.reduce((lowest, cap) => (!lowest || cap.amount.lt(lowest.amount) ? cap : lowest), null);
+}
@@ -0,0 +1,93 @@
+import Decimal from 'decimal.js';
+import { roundMoney } from '../utils/currency.js';
+
+/**
+ * Tax policy used when a rule set does not declare one: no default rate, so
+ * only categories listed in tax_rates are taxed, and bank offers are post-tax
+ */
+export const DEFAULT_TAX_POLICY = {
+  default_rate: null,
+  bank_offers: 'post_tax'
+};
+
+/**
+ * Whether a rule set taxes anything
+ */
+export function isTaxEnabled(rules) {
+  return rules.taxRates.size > 0 || rules.taxPolicy.default_rate != null;
+}
+
+/**
+ * Whether a discount is funded after tax, so it does not lower the taxable value.
+ * Bank offers are by default: the bank discounts the amount payable, tax included,
+ * and the seller still receives the full invoice value.
+ */
+export function isPostTaxDiscount(policy, discountKey) {
+  return policy.bank_offers === 'post_tax' && discountKey.startsWith('Bank_');
+}
+
+/**
+ * Tax rate for one unit of a product
+ * @param {Object} rateRule - tax_rates entry of the product's category, if any
+ * @param {Decimal} unitValue - Taxable value of one unit
+ * @param {Object} policy - Tax policy
+ * @returns {Object} { rate, hsn_code } - rate is null when the product is not taxed
+ */
+export function getTaxRate(rateRule, unitValue, policy) {
+  if (!rateRule) {
+    return { rate: policy.default_rate, hsn_code: null };
+  }
+
+  // Price bands ascending; the band without max_unit_value covers everything above
+  const slab = [...rateRule.slabs]
+    .sort((a, b) => (a.max_unit_value ?? Infinity) - (b.max_unit_value ?? Infinity))
+    .find(band => band.max_unit_value == null || unitValue.lte(band.max_unit_value));
+  return { rate: slab.rate, hsn_code: rateRule.hsn_code ?? null };
+}
+
+/**
+ * Work out GST on priced cart lines.
+ * Each line's taxable value is its MRP less its pre-tax discounts; the rate is
+ * picked by category and per-unit taxable value. Post-tax discounts come off
+ * the tax-inclusive total afterwards.
+ * @param {Array} cartItems - Cart items, in line order
+ * @param {Array} lines - Per-line { original_price, applied_discounts } of a pricing state
+ * @param {Object} rules - Rule set with taxRates, taxPolicy and pricingPolicy
+ * @param {string} currency - Currency tax is rounded in
+ * @returns {Object} { taxable_value, tax_amount, post_tax_discount, grand_total, lines } where
+ *   lines holds { hsn_code, rate, taxable_value, tax_amount } per cart line
+ */
+export function calculateTax(cartItems, lines, rules, currency) {
+  const policy = rules.taxPolicy;
+  const zero = new Decimal(0);
+
+  const taxLines = lines.map((line, index) => {
+    const { product, quantity } = cartItems[index];
+    const discounts = Object.entries(line.applied_discounts);
+    const preTax = discounts
+      .filter(([key]) => !isPostTaxDiscount(policy, key))
+      .reduce((sum, [, amount]) => sum.add(amount), zero);
+    const postTax = discounts
+      .filter(([key]) => isPostTaxDiscount(policy, key))
+      .reduce((sum, [, amount]) => sum.add(amount), zero);
+
+    const taxableValue = line.original_price.sub(preTax);
+    const { rate, hsn_code: hsnCode } = getTaxRate(rules.taxRates.get(product.category), taxableValue.div(quantity), policy);
+    const taxAmount = rate
+      ? roundMoney(taxableValue.mul(rate).div(100), currency, rules.pricingPolicy.rounding_mode)
+      : zero;
+
+    return { hsn_code: hsnCode, rate: rate ?? 0, taxable_value: taxableValue, tax_amount: taxAmount, post_tax_discount: postTax };
+  });
+
+  const sum = field => taxLines.reduce((total, line) => total.add(line[field]), zero);
+  const postTaxDiscount = sum('post_tax_discount');
+
+  return {
+    taxable_value: sum('taxable_value'),
+    tax_amount: sum('tax_amount'),
+    post_tax_discount: postTaxDiscount,
+    grand_total: sum('taxable_value').add(sum('tax_amount')).sub(postTaxDiscount),
+    lines: taxLines.map(({ post_tax_discount: lineDiscount, ...line }) => line)
+  };
+}
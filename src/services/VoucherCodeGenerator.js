@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { computeCheckCharacter, resolveCodeFormat } from '../utils/voucherCodes.js';
+import { ConflictError, DiscountError, ValidationError } from '../errors/index.js';
+import { JsonLinesMap } from '../utils/jsonLines.js';
+
+/**
+ * Most codes one generate() call will create
+ */
+export const MAX_BATCH_SIZE = 100000;
+
+/**
+ * Storage interface for generated voucher codes.
+ * Extend this class to persist codes somewhere other than memory.
+ * An entry looks like:
+ * { code, campaign, created_at }
+ */
+export class GeneratedCodeStore {
+  /**
+   * @param {string} code - Generated code
+   * @returns {Promise<Object|null>} The entry, or null when the code was never generated
+   */
+  async get(code) {
+    throw new Error(`${this.constructor.name} must implement get(code)`);
+  }
+
+  /**
+   * @param {string} campaign - Voucher the codes were generated from
+   * @returns {Promise<Array>} All entries of the campaign, oldest first
+   */
+  async listByCampaign(campaign) {
+    throw new Error(`${this.constructor.name} must implement listByCampaign(campaign)`);
+  }
+
+  /**
+   * Insert a batch of new entries
+   */
+  async saveAll(entries) {
+    throw new Error(`${this.constructor.name} must implement saveAll(entries)`);
+  }
+}
+
+/**
+ * In-memory generated code store (state is lost on restart)
+ */
+export class InMemoryGeneratedCodeStore extends GeneratedCodeStore {
+  constructor() {
+    super();
+    this.entries = new Map(); // code -> entry
+  }
+
+  async get(code) {
+    return this.entries.get(code) || null;
+  }
+
+  async listByCampaign(campaign) {
+    return [...this.entries.values()].filter(entry => entry.campaign === campaign);
+  }
+
+  async saveAll(entries) {
+    entries.forEach(entry => this.entries.set(entry.code, { ...entry }));
+  }
+}
+
+/**
+ * Generated code store kept in a JSON-lines file, so issued codes survive restarts.
+ * Codes are read once when the store is created and every batch is appended
+ * to the file (see utils/jsonLines.js).
+ */
+export class FileGeneratedCodeStore extends InMemoryGeneratedCodeStore {
+  /**
+   * @param {string} filePath - JSON-lines file, created on the first batch
+   */
+  constructor(filePath) {
+    super();
+    this.file = new JsonLinesMap(filePath, this.entries, entry => entry.code);
+  }
+
+  async saveAll(entries) {
+    await this.file.update(() => super.saveAll(entries), entries);
+  }
+}
+
+/**
+ * Voucher Code Generator - Creates unique single-use codes for a voucher campaign.
+ * Each code is the campaign's prefix, random characters from its alphabet and a
+ * check character, so mistyped codes are rejected before any lookup.
+ */
+export class VoucherCodeGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {GeneratedCodeStore} options.store - Generated code storage
+   * @param {Function} options.randomInt - Returns a random integer in [0, max), defaults to crypto.randomInt
+   * @param {Function} options.now - Clock returning the current time in milliseconds
+   */
+  constructor({
+    store = new InMemoryGeneratedCodeStore(),
+    randomInt = max => crypto.randomInt(max),
+    now = () => Date.now()
+  } = {}) {
+    this.store = store;
+    this.randomInt = randomInt;
+    this.now = now;
+  }
+
+  /**
+   * Generate new codes for a campaign
+   * @param {string} campaign - Voucher the codes redeem
+   * @param {number} count - Number of codes to create
+   * @param {Object} format - Code format { prefix, alphabet, length }
+   * @returns {Promise<Array>} The new entries
+   * @throws {ValidationError} INVALID_CODE_COUNT if count is invalid
+   * @throws {ConflictError} CODE_FORMAT_TOO_SMALL if the format cannot hold that many more codes
+   * @throws {DiscountError} CODE_GENERATION_FAILED if unique codes could not be drawn
+   */
+  async generate(campaign, count, format = {}) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+      throw new ValidationError('INVALID_CODE_COUNT',
+        `Code count must be a whole number between 1 and ${MAX_BATCH_SIZE}, got ${count}`, { count, max: MAX_BATCH_SIZE });
+    }
+
+    const { prefix, alphabet, length } = resolveCodeFormat(format);
+
+    // Keep the space sparse so random draws rarely collide and guessing a code is impractical
+    const capacity = alphabet.length ** length;
+    const existing = (await this.store.listByCampaign(campaign)).length;
+    if ((existing + count) * 1000 > capacity) {
+      throw new ConflictError('CODE_FORMAT_TOO_SMALL',
+        `Code format of '${campaign}' is too small for ${existing + count} codes; use a longer code or alphabet`,
+        { campaign, existing, count, capacity });
+    }
+
+    const codes = new Set();
+    let attempts = 0;
+    while (codes.size < count) {
+      if (++attempts > count * 10) {
+        throw new DiscountError('CODE_GENERATION_FAILED', `Could not generate ${count} unique codes for '${campaign}'`, {
+          campaign,
+          count
+        });
+      }
+
+      const body = Array.from({ length }, () => alphabet[this.randomInt(alphabet.length)]).join('');
+      const code = `${prefix}${body}${computeCheckCharacter(body, alphabet)}`;
+      if (!codes.has(code) && !(await this.store.get(code))) {
+        codes.add(code);
+      }
+    }
+
+    const createdAt = this.now();
+    const entries = [...codes].map(code => ({ code, campaign, created_at: createdAt }));
+    await this.store.saveAll(entries);
+    return entries;
+  }
+
+  /**
+   * Look up a generated code
+   * @returns {Promise<Object|null>} { code, campaign, created_at } or null
+   */
+  async resolve(code) {
+    return this.store.get(code);
+  }
+
+  /**
+   * Export a campaign's codes as CSV with a code,campaign,created_at header
+   * @returns {Promise<string>}
+   */
+  async exportCSV(campaign) {
+    const rows = (await this.store.listByCampaign(campaign))
+      .map(entry => [entry.code, entry.campaign, new Date(entry.created_at).toISOString()]);
+    return [['code', 'campaign', 'created_at'], ...rows]
+      .map(row => row.map(toCSVField).join(','))
+      .join('\n') + '\n';
+  }
+}
+
+function toCSVField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
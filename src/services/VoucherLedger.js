@@ -0,0 +1,286 @@
+import { JsonLinesMap } from '../utils/jsonLines.js';
+import { KeyedLock } from '../utils/keyedLock.js';
+
+/**
+ * Redemption statuses
+ */
+export const RedemptionStatus = {
+  RESERVED: 'reserved',
+  COMMITTED: 'committed'
+};
+
+/**
+ * Storage interface for voucher redemptions.
+ * Extend this class to persist redemptions somewhere other than memory.
+ * A redemption looks like:
+ * { code, order_id, customer_id, status, reserved_at, expires_at, committed_at }
+ */
+export class RedemptionStore {
+  /**
+   * @param {string} code - Voucher code
+   * @returns {Promise<Array>} All redemptions of the code
+   */
+  async listByCode(code) {
+    throw new Error(`${this.constructor.name} must implement listByCode(code)`);
+  }
+
+  /**
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} All redemptions held by the order
+   */
+  async listByOrder(orderId) {
+    throw new Error(`${this.constructor.name} must implement listByOrder(orderId)`);
+  }
+
+  /**
+   * Insert or replace the redemption for (code, order_id)
+   */
+  async save(redemption) {
+    throw new Error(`${this.constructor.name} must implement save(redemption)`);
+  }
+
+  /**
+   * Delete the redemption for (code, order_id)
+   */
+  async remove(redemption) {
+    throw new Error(`${this.constructor.name} must implement remove(redemption)`);
+  }
+}
+
+/**
+ * In-memory redemption store (state is lost on restart)
+ */
+export class InMemoryRedemptionStore extends RedemptionStore {
+  constructor() {
+    super();
+    this.redemptions = new Map(); // `${code}:${order_id}` -> redemption
+  }
+
+  async listByCode(code) {
+    return [...this.redemptions.values()].filter(redemption => redemption.code === code);
+  }
+
+  async listByOrder(orderId) {
+    return [...this.redemptions.values()].filter(redemption => redemption.order_id === orderId);
+  }
+
+  async save(redemption) {
+    this.redemptions.set(redemptionKey(redemption), { ...redemption });
+  }
+
+  async remove(redemption) {
+    this.redemptions.delete(redemptionKey(redemption));
+  }
+}
+
+/**
+ * Redemption store kept in a JSON-lines file, so usage survives restarts.
+ * Redemptions are read once when the store is created and every change is
+ * appended to the file (see utils/jsonLines.js).
+ */
+export class FileRedemptionStore extends InMemoryRedemptionStore {
+  /**
+   * @param {string} filePath - JSON-lines file, created on the first change
+   */
+  constructor(filePath) {
+    super();
+    this.file = new JsonLinesMap(filePath, this.redemptions, redemptionKey);
+  }
+
+  async save(redemption) {
+    await this.file.update(() => super.save(redemption), [redemption]);
+  }
+
+  async remove(redemption) {
+    await this.file.update(() => super.remove(redemption), [redemption]);
+  }
+}
+
+/**
+ * Voucher Ledger - Tracks voucher usage against global and per-customer limits.
+ * Usage is reserved for an order at checkout, then committed when the order is
+ * placed or released when it is abandoned. Reservations that are neither
+ * committed nor released expire after reservationTtlMs.
+ */
+export class VoucherLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {RedemptionStore} options.store - Redemption storage
+   * @param {number} options.reservationTtlMs - How long an uncommitted reservation holds usage
+   * @param {Function} options.now - Clock returning the current time in milliseconds
+   */
+  constructor({
+    store = new InMemoryRedemptionStore(),
+    reservationTtlMs = 15 * 60 * 1000,
+    now = () => Date.now()
+  } = {}) {
+    this.store = store;
+    this.reservationTtlMs = reservationTtlMs;
+    this.now = now;
+    this.locks = new KeyedLock(); // serializes reservations per code
+  }
+
+  /**
+   * Count active usage of a voucher
+   * @param {string} orderId - Order whose own redemptions are left out, e.g. when repricing it after reserving
+   * @returns {Promise<Object>} { total, customer } - usage overall and by the given customer
+   */
+  async getUsage(code, customerId = null, orderId = null) {
+    const active = (await this.store.listByCode(code))
+      .filter(redemption => this.isActive(redemption) && (orderId == null || redemption.order_id !== orderId));
+    return {
+      total: active.length,
+      customer: customerId == null ? 0 : active.filter(redemption => redemption.customer_id === customerId).length
+    };
+  }
+
+  /**
+   * Check a voucher's usage_limit and usage_limit_per_customer
+   * @param {string} code - Voucher code
+   * @param {Object} voucher - Voucher rule
+   * @param {string} customerId - Customer redeeming the voucher
+   * @param {string} orderId - Order redeeming the voucher; its own reservation is not counted against it
+   * @returns {Promise<Object|null>} { error, errorCode, limit } when a limit has been reached, where
+   *   limit names the field that was reached ('usage_limit' or 'usage_limit_per_customer')
+   */
+  async checkLimits(code, voucher, customerId, orderId = null) {
+    if (!voucher.usage_limit && !voucher.usage_limit_per_customer) {
+      return null;
+    }
+
+    const usage = await this.getUsage(code, customerId, orderId);
+
+    if (voucher.usage_limit && usage.total >= voucher.usage_limit) {
+      return {
+        error: `Voucher code '${code}' has reached its usage limit of ${voucher.usage_limit}`,
+        errorCode: 'USAGE_LIMIT_REACHED',
+        limit: 'usage_limit'
+      };
+    }
+
+    if (voucher.usage_limit_per_customer && usage.customer >= voucher.usage_limit_per_customer) {
+      return {
+        error: `Voucher code '${code}' can only be used ${voucher.usage_limit_per_customer} time(s) per customer`,
+        errorCode: 'USAGE_LIMIT_REACHED',
+        limit: 'usage_limit_per_customer'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reserve one use of a voucher for an order.
+   * Reserving the same code for the same order twice returns the existing reservation.
+   * @returns {Promise<Object>} { success, redemption, error, errorCode }
+   */
+  async reserve(code, voucher, { orderId, customerId }) {
+    if (!orderId) {
+      return { success: false, error: 'Order ID is required to reserve a voucher', errorCode: 'ORDER_ID_REQUIRED' };
+    }
+
+    return this.withLock(code, async () => {
+      const existing = (await this.store.listByOrder(orderId))
+        .find(redemption => redemption.code === code && this.isActive(redemption));
+      if (existing) {
+        return { success: true, redemption: existing, error: null, errorCode: null };
+      }
+
+      await this.purgeExpired(code);
+
+      const limitError = await this.checkLimits(code, voucher, customerId);
+      if (limitError) {
+        return { success: false, ...limitError };
+      }
+
+      const reservedAt = this.now();
+      const redemption = {
+        code,
+        order_id: orderId,
+        customer_id: customerId ?? null,
+        status: RedemptionStatus.RESERVED,
+        reserved_at: reservedAt,
+        expires_at: reservedAt + this.reservationTtlMs,
+        committed_at: null
+      };
+      await this.store.save(redemption);
+
+      return { success: true, redemption, error: null, errorCode: null };
+    });
+  }
+
+  /**
+   * Commit every active reservation held by an order
+   * @returns {Promise<Object>} { success, redemptions, error, errorCode }
+   */
+  async commit(orderId) {
+    const reserved = (await this.store.listByOrder(orderId))
+      .filter(redemption => redemption.status === RedemptionStatus.RESERVED && this.isActive(redemption));
+
+    if (reserved.length === 0) {
+      return {
+        success: false,
+        redemptions: [],
+        error: `No active voucher reservation for order '${orderId}'`,
+        errorCode: 'RESERVATION_NOT_FOUND'
+      };
+    }
+
+    const committedAt = this.now();
+    const redemptions = reserved.map(redemption => ({
+      ...redemption,
+      status: RedemptionStatus.COMMITTED,
+      expires_at: null,
+      committed_at: committedAt
+    }));
+    for (const redemption of redemptions) {
+      await this.store.save(redemption);
+    }
+
+    return { success: true, redemptions, error: null, errorCode: null };
+  }
+
+  /**
+   * Release an order's uncommitted reservations so the usage can be reused
+   * @returns {Promise<Array>} Released redemptions
+   */
+  async release(orderId) {
+    const reserved = (await this.store.listByOrder(orderId))
+      .filter(redemption => redemption.status === RedemptionStatus.RESERVED);
+
+    for (const redemption of reserved) {
+      await this.store.remove(redemption);
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Whether a redemption still counts towards usage
+   */
+  isActive(redemption) {
+    return redemption.status === RedemptionStatus.COMMITTED || redemption.expires_at > this.now();
+  }
+
+  /**
+   * Drop expired reservations of a voucher
+   */
+  async purgeExpired(code) {
+    const expired = (await this.store.listByCode(code)).filter(redemption => !this.isActive(redemption));
+    for (const redemption of expired) {
+      await this.store.remove(redemption);
+    }
+  }
+
+  /**
+   * Run fn after any pending reservation of the same code has finished,
+   * so two checkouts cannot both take the last use of a voucher
+   */
+  async withLock(code, fn) {
+    return this.locks.run(code, fn);
+  }
+}
+
+function redemptionKey(redemption) {
+  return `${redemption.code}:${redemption.order_id}`;
+}
@@ -0,0 +1,101 @@
+import Decimal from 'decimal.js';
+import { allocateProportionally } from './money.js';
+
+/**
+ * Pricing policy used when a rule set does not declare one: rupees, formatted
+ * for India, with every discount rounded half-up to the paisa on each line.
+ * rounding_scope 'order' rounds each discount's order total instead.
+ */
+export const DEFAULT_PRICING_POLICY = {
+  currency: 'INR',
+  locale: 'en-IN',
+  rounding_mode: 'half_up',
+  rounding_scope: 'line'
+};
+
+/**
+ * Decimal.js rounding for each rounding_mode
+ */
+export const ROUNDING_MODES = {
+  half_up: Decimal.ROUND_HALF_UP,
+  half_even: Decimal.ROUND_HALF_EVEN,
+  down: Decimal.ROUND_DOWN
+};
+
+const formatters = new Map(); // `${locale}:${currency}` -> Intl.NumberFormat
+
+/**
+ * Whether a value is an ISO 4217 currency code the runtime knows, e.g. 'INR'
+ */
+export function isCurrencyCode(value) {
+  return typeof value === 'string' && /^[A-Z]{3}$/.test(value) && Intl.supportedValuesOf('currency').includes(value);
+}
+
+/**
+ * Whether a string is a BCP 47 locale the runtime can format for, e.g. 'hi-IN'
+ */
+export function isValidLocale(value) {
+  if (typeof value !== 'string' || value === '') {
+    return false;
+  }
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(value).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Digits after the decimal point of a currency's minor unit (2 for INR, 0 for JPY)
+ */
+export function getMinorDigits(currency) {
+  return getFormatter(currency, 'en').resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Round an amount to a currency's minor unit
+ * @param {Decimal|number|string} amount - Amount to round
+ * @param {string} currency - ISO currency code
+ * @param {string} mode - 'half_up', 'half_even' or 'down'
+ * @returns {Decimal}
+ */
+export function roundMoney(amount, currency, mode = DEFAULT_PRICING_POLICY.rounding_mode) {
+  return new Decimal(amount).toDecimalPlaces(getMinorDigits(currency), ROUNDING_MODES[mode]);
+}
+
+/**
+ * Round a discount's total to the currency's minor unit and split it back
+ * across the lines by largest remainder, so every share is in whole minor units
+ * @param {Array<Decimal>} lineAmounts - Discount on each cart line
+ * @param {string} currency - ISO currency code
+ * @param {string} mode - 'half_up', 'half_even' or 'down'
+ * @returns {Array<Decimal>}
+ */
+export function roundAcrossLines(lineAmounts, currency, mode = DEFAULT_PRICING_POLICY.rounding_mode) {
+  const total = lineAmounts.reduce((sum, amount) => sum.add(amount), new Decimal(0));
+  return allocateProportionally(roundMoney(total, currency, mode), lineAmounts, getMinorDigits(currency));
+}
+
+/**
+ * Format an amount for shoppers, e.g. ₹1,299.50 or ₹2,030
+ * @param {Decimal|number|string} amount - Amount to format
+ * @param {string} currency - ISO currency code
+ * @param {string} locale - BCP 47 locale used for grouping and symbols
+ */
+export function formatMoney(amount, currency = DEFAULT_PRICING_POLICY.currency, locale = DEFAULT_PRICING_POLICY.locale) {
+  const value = new Decimal(amount);
+  return getFormatter(currency, locale, value.isInteger()).format(value.toFixed());
+}
+
+function getFormatter(currency, locale, integer) {
+  const key = `${locale}:${currency}:${integer}`;
+  if (!formatters.has(key)) {
+    // Whole amounts drop the minor digits; trailingZeroDisplay would do this but Node 18 ignores it
+    formatters.set(key, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      ...(integer && { minimumFractionDigits: 0 })
+    }));
+  }
+  return formatters.get(key);
+}
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { StorageError } from '../errors/index.js';
+
+/**
+ * A file of JSON records, one per line. A write replaces the file whole: it
+ * goes to a temporary file in the same directory, is flushed to disk and then
+ * renamed over the file, so after a crash the file holds either the old or the
+ * new records, never a mix. An append adds records at the end and flushes
+ * them; a crash during an append can only leave an unfinished last line.
+ * Dates are stored as { $date } and read back as Dates. Writes and appends
+ * from one process are applied in order; the file must not be shared by
+ * several processes.
+ */
+export class JsonLinesFile {
+  /**
+   * @param {string} filePath - File to keep the records in; its directory is created if missing
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writes = Promise.resolve(); // chain applying writes in order
+    this.tempCount = 0;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * @returns {Array} The records, or [] when the file does not exist yet
+   * @throws {StorageError} STORAGE_CORRUPT if a line is not valid JSON
+   */
+  read() {
+    return this.readLog().records;
+  }
+
+  /**
+   * Read the records, skipping an unfinished last line left by an interrupted append
+   * @returns {Object} { records, torn } where torn is true if a last line was skipped
+   * @throws {StorageError} STORAGE_CORRUPT if any other line is not valid JSON
+   */
+  readLog() {
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { records: [], torn: false };
+      }
+      throw error;
+    }
+
+    const lines = text.split('\n');
+    // Every complete line ends with a newline, so a non-empty last piece never finished writing
+    const torn = lines.pop().trim() !== '';
+    const records = lines.filter(line => line.trim() !== '').map((line, index) => {
+      try {
+        return JSON.parse(line, reviveDate);
+      } catch (error) {
+        throw new StorageError('STORAGE_CORRUPT', `Could not read line ${index + 1} of ${this.filePath}: ${error.message}`, {
+          file: this.filePath,
+          line: index + 1
+        }, error);
+      }
+    });
+    return { records, torn };
+  }
+
+  /**
+   * Replace the records, after any writes already queued
+   * @returns {Promise<void>} Resolves once the records are on disk
+   */
+  write(records) {
+    const text = serialize(records);
+    const write = this.writes.then(() => this.replace(text));
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Add records at the end of the file, after any writes already queued
+   * @returns {Promise<void>} Resolves once the records are on disk
+   */
+  append(records) {
+    const text = serialize(records);
+    const append = this.writes.then(() => this.appendText(text));
+    this.writes = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Replace the records before returning (for state needed at startup, like the rules)
+   */
+  writeSync(records) {
+    const tempPath = this.nextTempPath();
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeFileSync(fd, serialize(records));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async replace(text) {
+    const tempPath = this.nextTempPath();
+    try {
+      const handle = await fs.promises.open(tempPath, 'w');
+      try {
+        await handle.writeFile(text);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async appendText(text) {
+    const handle = await fs.promises.open(this.filePath, 'a');
+    try {
+      await handle.writeFile(text);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  nextTempPath() {
+    return `${this.filePath}.${process.pid}.${++this.tempCount}.tmp`;
+  }
+}
+
+/**
+ * A Map of records kept in step with a JsonLinesFile used as a log. Each change
+ * appends one line per changed record: the record as it now is, or
+ * { $delete: key } when it was removed. Loading replays the log into the map.
+ * Once the log holds more than twice as many lines as the map has records (and
+ * at least COMPACT_MIN_LINES), it is compacted by writing the map whole, so a
+ * save costs the same however many records are kept. If a change cannot be
+ * saved the map is reloaded from disk, so it never holds changes that were not
+ * saved. Used by the file-backed stores, which keep the map their in-memory
+ * parent class reads from.
+ */
+export class JsonLinesMap {
+  /**
+   * @param {string} filePath - JSON-lines file, created on the first change
+   * @param {Map} map - Map to fill and keep in step; it is updated in place
+   * @param {Function} keyOf - Returns a record's key in the map
+   * @throws {StorageError} STORAGE_CORRUPT if the file cannot be read back
+   */
+  constructor(filePath, map, keyOf) {
+    this.file = new JsonLinesFile(filePath);
+    this.map = map;
+    this.keyOf = keyOf;
+    this.load();
+  }
+
+  load() {
+    const { records, torn } = this.file.readLog();
+    this.map.clear();
+    records.forEach(record => {
+      if (isDeletion(record)) {
+        this.map.delete(record.$delete);
+      } else {
+        this.map.set(this.keyOf(record), record);
+      }
+    });
+    this.lineCount = records.length;
+    if (torn || this.needsCompaction()) {
+      this.file.writeSync([...this.map.values()]);
+      this.lineCount = this.map.size;
+    }
+  }
+
+  /**
+   * Apply a change to the map, then save the records it touched
+   * @param {Function} change - Async function that updates the map
+   * @param {Array} records - Records the change saves or removes; each is logged as it now is in the map
+   * @returns {Promise<void>} Resolves once the change is on disk
+   */
+  async update(change, records) {
+    await change();
+    try {
+      const keys = records.map(this.keyOf);
+      await this.file.append(keys.map(key => this.map.has(key) ? this.map.get(key) : { $delete: key }));
+      this.lineCount += keys.length;
+      if (this.needsCompaction()) {
+        this.lineCount = this.map.size;
+        await this.file.write([...this.map.values()]);
+      }
+    } catch (error) {
+      this.load();
+      throw error;
+    }
+  }
+
+  needsCompaction() {
+    return this.lineCount >= COMPACT_MIN_LINES && this.lineCount > 2 * this.map.size;
+  }
+}
+
+const COMPACT_MIN_LINES = 1000;
+
+function isDeletion(record) {
+  return Object.keys(record).length === 1 && typeof record.$delete === 'string';
+}
+
+function serialize(records) {
+  return records.map(record => JSON.stringify(record, tagDate)).join('\n') + (records.length > 0 ? '\n' : '');
+}
+
+function tagDate(key, value) {
+  // JSON.stringify has already called Date#toJSON on value, so look at the original
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+}
+
+function reviveDate(key, value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string'
+    ? new Date(value.$date)
+    : value;
+}
@@ -0,0 +1,31 @@
+/**
+ * Runs async work one at a time per key: work for a key starts once the
+ * work queued before it for the same key has settled, while different keys
+ * run side by side. Used by the ledgers so a check-then-write on one voucher
+ * or customer cannot interleave with another.
+ */
+export class KeyedLock {
+  constructor() {
+    this.queues = new Map(); // key -> promise chain of the work queued for it
+  }
+
+  /**
+   * @param {string} key - What the work is about, e.g. a voucher code
+   * @param {Function} fn - Async work
+   * @returns {Promise} fn's result
+   */
+  async run(key, fn) {
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.then(fn);
+    const settled = run.catch(() => {});
+    this.queues.set(key, settled);
+
+    try {
+      return await run;
+    } finally {
+      if (this.queues.get(key) === settled) {
+        this.queues.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import Decimal from 'decimal.js';
+import { MESSAGES as en } from '../locales/en.js';
+import { MESSAGES as hi } from '../locales/hi.js';
+import { MESSAGES as ta } from '../locales/ta.js';
+import { DEFAULT_PRICING_POLICY, formatMoney } from './currency.js';
+import { DAYS_OF_WEEK } from './schedule.js';
+
+/**
+ * Message catalogs by language. A locale uses the catalog of its language
+ * ('hi-IN' -> hi); languages without a catalog, and IDs missing from one, fall back to English.
+ */
+export const MESSAGE_CATALOGS = { en, hi, ta };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const PLACEHOLDER = /\{(\w+)(?:,\s*(\w+))?\}/g;
+
+/**
+ * Placeholder formats - each receives (value, locale, currency) and returns text.
+ * A template writes them as {name, format}, e.g. '{amount, money} off'.
+ */
+const FORMATTERS = {
+  money: (value, locale, currency) => formatMoney(value, currency, locale),
+  number: (value, locale) => new Intl.NumberFormat(locale).format(toNumber(value)),
+  percent: (value, locale) => new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 2 })
+    .format(new Decimal(value).div(100).toNumber()),
+  date: (value, locale) => new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }).format(value),
+  list: (value, locale) => new Intl.ListFormat(locale, { type: 'conjunction' }).format(value.map(String)),
+  or: (value, locale) => new Intl.ListFormat(locale, { type: 'disjunction' }).format(value.map(String)),
+  weekdays: (value, locale) => new Intl.ListFormat(locale, { type: 'conjunction' }).format(value.map(day => {
+    // 7 January 2024 was a Sunday
+    const date = new Date(Date.UTC(2024, 0, 7 + DAYS_OF_WEEK.indexOf(day)));
+    return new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' }).format(date);
+  }))
+};
+
+/**
+ * Build a message for rendering later
+ * @param {string} id - Message ID, e.g. 'discount.brand'
+ * @param {Object} params - Template parameters; a parameter may itself be a message
+ * @returns {Object} { id, params }
+ */
+export function defineMessage(id, params = {}) {
+  return { id, params };
+}
+
+/**
+ * Render a message in a locale
+ * @param {string} id - Message ID, e.g. 'discount.brand'
+ * @param {Object} params - Template parameters; messages among them are rendered in the same locale
+ * @param {Object} options - { locale, currency } used for the catalog and for formatting
+ * @returns {string}
+ * @throws {Error} If no catalog has the message ID
+ */
+export function formatMessage(id, params = {}, {
+  locale = DEFAULT_PRICING_POLICY.locale,
+  currency = DEFAULT_PRICING_POLICY.currency
+} = {}) {
+  const template = getCatalog(locale)[id] ?? MESSAGE_CATALOGS[DEFAULT_LANGUAGE][id];
+  if (template === undefined) {
+    throw new Error(`Unknown message ID '${id}'`);
+  }
+
+  return template.replace(PLACEHOLDER, (placeholder, name, format) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (isMessage(value)) {
+      return formatMessage(value.id, value.params, { locale, currency });
+    }
+    if (!format) {
+      return String(value);
+    }
+    if (!FORMATTERS[format]) {
+      throw new Error(`Unknown format '${format}' in message '${id}'`);
+    }
+    return FORMATTERS[format](value, locale, currency);
+  });
+}
+
+/**
+ * Whether two messages have the same ID and parameters
+ */
+export function isSameMessage(a, b) {
+  return a.id === b.id && JSON.stringify(a.params) === JSON.stringify(b.params);
+}
+
+function getCatalog(locale) {
+  const { language } = new Intl.Locale(locale);
+  return MESSAGE_CATALOGS[language] || MESSAGE_CATALOGS[DEFAULT_LANGUAGE];
+}
+
+function isMessage(value) {
+  return typeof value === 'object' && typeof value.id === 'string' && typeof value.params === 'object';
+}
+
+function toNumber(value) {
+  return value instanceof Decimal ? value.toNumber() : Number(value);
+}
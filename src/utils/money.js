@@ -0,0 +1,45 @@
+import Decimal from 'decimal.js';
+
+/**
+ * Split an amount across lines in proportion to their weights.
+ * Shares are rounded down to the minor unit (the paisa by default) and the
+ * leftover units go one at a time to the lines with the largest rounding
+ * remainder (ties go to the earlier line), so the shares always add up to
+ * exactly `amount`.
+ * @param {Decimal} amount - Amount to split
+ * @param {Array<Decimal>} weights - One weight per line (e.g. line totals)
+ * @param {number} decimalPlaces - Digits of the currency's minor unit
+ * @returns {Array<Decimal>} One share per line
+ */
+export function allocateProportionally(amount, weights, decimalPlaces = 2) {
+  const minorUnit = new Decimal(1).div(new Decimal(10).pow(decimalPlaces));
+  const total = new Decimal(amount);
+  const weightSum = weights.reduce((sum, weight) => sum.add(weight), new Decimal(0));
+
+  if (total.isZero() || weightSum.isZero()) {
+    return weights.map(() => new Decimal(0));
+  }
+
+  const exactShares = weights.map(weight => total.mul(weight).div(weightSum));
+  const shares = exactShares.map(share => share.toDecimalPlaces(decimalPlaces, Decimal.ROUND_DOWN));
+
+  let leftover = shares.reduce((remaining, share) => remaining.sub(share), total);
+
+  const order = exactShares
+    .map((share, index) => ({ index, remainder: share.sub(shares[index]) }))
+    .sort((a, b) => b.remainder.cmp(a.remainder) || a.index - b.index)
+    .map(({ index }) => index);
+
+  for (const index of order) {
+    if (leftover.lt(minorUnit)) break;
+    shares[index] = shares[index].add(minorUnit);
+    leftover = leftover.sub(minorUnit);
+  }
+
+  // Any sub-unit residue of an unrounded amount goes to the first line in the same order
+  if (!leftover.isZero()) {
+    shares[order[0]] = shares[order[0]].add(leftover);
+  }
+
+  return shares;
+}
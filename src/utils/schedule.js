@@ -0,0 +1,127 @@
+/**
+ * Day names used by a rule's active_days
+ */
+export const DAYS_OF_WEEK = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Time zone for active_hours and active_days when a rule does not set one
+ */
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatters = new Map(); // time zone -> Intl.DateTimeFormat
+
+/**
+ * Whether a string is a time of day like '20:00'
+ */
+export function isTimeOfDay(value) {
+  return typeof value === 'string' && TIME_OF_DAY.test(value);
+}
+
+/**
+ * Whether a string is an IANA time zone name the runtime knows, e.g. 'Asia/Kolkata'
+ */
+export function isValidTimeZone(value) {
+  if (typeof value !== 'string' || value === '') {
+    return false;
+  }
+  try {
+    getFormatter(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a rule's schedule.
+ * valid_from / valid_until bound the campaign. active_days ('mon'...'sun') and
+ * active_hours ({ start: '20:00', end: '22:00' }) limit it to recurring windows,
+ * read in the rule's timezone. A window whose end is before its start runs
+ * past midnight; active_days are matched against the local date of `at`.
+ * @param {Object} rule - Rule with optional valid_from, valid_until, active_days, active_hours and timezone
+ * @param {Date} at - Time to check
+ * @returns {Object|null} { reason, message, params } when the rule is not active, where reason is
+ *   'not_started', 'ended', 'outside_days' or 'outside_hours' and params fill the
+ *   'schedule.<reason>' shopper message; null when it is active
+ */
+export function getScheduleStatus(rule, at) {
+  if (rule.valid_from && at < rule.valid_from) {
+    return {
+      reason: 'not_started',
+      message: `starts on ${rule.valid_from.toDateString()}`,
+      params: { date: rule.valid_from }
+    };
+  }
+  if (rule.valid_until && at > rule.valid_until) {
+    return { reason: 'ended', message: `ended on ${rule.valid_until.toDateString()}`, params: { date: rule.valid_until } };
+  }
+  if (!rule.active_days && !rule.active_hours) {
+    return null;
+  }
+
+  const timeZone = rule.timezone || DEFAULT_TIMEZONE;
+  const local = getLocalTime(at, timeZone);
+
+  if (rule.active_days && !rule.active_days.includes(local.day)) {
+    return {
+      reason: 'outside_days',
+      message: `only active on ${rule.active_days.join(', ')}`,
+      params: { days: rule.active_days }
+    };
+  }
+  if (rule.active_hours && !isWithinHours(rule.active_hours, local.minutes)) {
+    const { start, end } = rule.active_hours;
+    return {
+      reason: 'outside_hours',
+      message: `only active ${start}-${end} (${timeZone})`,
+      params: { start, end, timezone: timeZone }
+    };
+  }
+  return null;
+}
+
+/**
+ * Whether a rule is active at a given time, see getScheduleStatus
+ */
+export function isRuleActive(rule, at) {
+  return getScheduleStatus(rule, at) === null;
+}
+
+/**
+ * Day of week and minutes since midnight of a time in a time zone
+ */
+function getLocalTime(at, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(at).map(({ type, value }) => [type, value]));
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function isWithinHours({ start, end }, minutes) {
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+  return startMinutes <= endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+}
+
+function toMinutes(timeOfDay) {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
@@ -0,0 +1,72 @@
+/**
+ * Format of generated voucher codes when a campaign's code_format leaves a field out.
+ * The alphabet drops 0/O and 1/I so codes can be read back over the phone.
+ */
+export const DEFAULT_CODE_FORMAT = {
+  prefix: '',
+  alphabet: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ',
+  length: 10
+};
+
+/**
+ * Whether a value is a valid code_format: an optional prefix, an alphabet of
+ * at least 2 distinct characters and a random part of 4-32 characters
+ */
+export function isValidCodeFormat(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const { prefix = '', alphabet = DEFAULT_CODE_FORMAT.alphabet, length = DEFAULT_CODE_FORMAT.length, ...rest } = value;
+  return Object.keys(rest).length === 0
+    && typeof prefix === 'string'
+    && typeof alphabet === 'string' && alphabet.length >= 2 && new Set(alphabet).size === alphabet.length
+    && Number.isInteger(length) && length >= 4 && length <= 32;
+}
+
+/**
+ * code_format with defaults filled in
+ */
+export function resolveCodeFormat(format = {}) {
+  return { ...DEFAULT_CODE_FORMAT, ...format };
+}
+
+/**
+ * Check character for the random part of a code (Luhn mod N over the alphabet).
+ * It catches every single mistyped character and most swapped neighbours.
+ * @param {string} body - Random part of the code
+ * @param {string} alphabet - Characters codes are made of
+ */
+export function computeCheckCharacter(body, alphabet) {
+  const base = alphabet.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    const addend = factor * alphabet.indexOf(body[i]);
+    sum += Math.floor(addend / base) + (addend % base);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return alphabet[(base - (sum % base)) % base];
+}
+
+/**
+ * Whether a code has the shape of a code generated with a format:
+ * the prefix, then `length` characters and the check character from the alphabet
+ */
+export function matchesCodeFormat(code, format) {
+  const { prefix, alphabet, length } = resolveCodeFormat(format);
+  return typeof code === 'string'
+    && code.length === prefix.length + length + 1
+    && code.startsWith(prefix)
+    && [...code.slice(prefix.length)].every(character => alphabet.includes(character));
+}
+
+/**
+ * Whether a code of the given format ends with the right check character
+ */
+export function hasValidCheckCharacter(code, format) {
+  const { prefix, alphabet } = resolveCodeFormat(format);
+  const body = code.slice(prefix.length, -1);
+  return computeCheckCharacter(body, alphabet) === code.slice(-1);
+}